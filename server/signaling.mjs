@@ -0,0 +1,143 @@
+// -----------------------------
+// Room-code signaling server
+// -----------------------------
+// Optional helper so players can trade a 6-character room code instead of
+// Offer/Answer codes. It only relays the (short) codes; match traffic stays
+// peer-to-peer. Plain HTTP + long polling, no dependencies:
+//
+//   POST /rooms               {offer}  -> {code}
+//   GET  /rooms/:code                  -> {offer}
+//   POST /rooms/:code/answer  {answer} -> 204
+//   GET  /rooms/:code/answer           -> {answer}, or 204 if none arrived in time
+//
+// Run with `npm run signal` (PORT defaults to 8787).
+
+import http from "node:http";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+export const ROOM_CODE_LENGTH = 6;
+const ROOM_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I
+const MAX_BODY_BYTES = 16 * 1024;
+
+export function createSignalingServer({ roomTtlMs = 10 * 60 * 1000, pollMs = 25000 } = {}) {
+    const rooms = new Map(); // code -> { offer, answer, created, waiters: Set<fn> }
+
+    function newCode() {
+        for (;;) {
+            let code = "";
+            for (let i = 0; i < ROOM_CODE_LENGTH; i++) code += ROOM_ALPHABET[crypto.randomInt(ROOM_ALPHABET.length)];
+            if (!rooms.has(code)) return code;
+        }
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const [code, room] of rooms) {
+            if (now - room.created > roomTtlMs) {
+                for (const wake of room.waiters) wake();
+                rooms.delete(code);
+            }
+        }
+    }
+
+    function send(res, status, body) {
+        res.writeHead(status, {
+            "Content-Type": "application/json",
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Headers": "Content-Type",
+            "Access-Control-Allow-Methods": "GET, POST, OPTIONS"
+        });
+        res.end(body === undefined ? "" : JSON.stringify(body));
+    }
+
+    function readJson(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+            req.on("data", (c) => {
+                size += c.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new Error("Body too large."));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(c);
+            });
+            req.on("end", () => {
+                try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8"))); } catch { reject(new Error("Body is not JSON.")); }
+            });
+            req.on("error", reject);
+        });
+    }
+
+    async function handle(req, res) {
+        if (req.method === "OPTIONS") return send(res, 204);
+        sweep();
+
+        const url = new URL(req.url, "http://localhost");
+        const parts = url.pathname.split("/").filter(Boolean);
+        if (parts[0] !== "rooms") return send(res, 404, { error: "Not found." });
+
+        if (parts.length === 1 && req.method === "POST") {
+            const body = await readJson(req);
+            if (typeof body?.offer !== "string" || !body.offer) return send(res, 400, { error: "Missing offer." });
+            const code = newCode();
+            rooms.set(code, { offer: body.offer, answer: null, created: Date.now(), waiters: new Set() });
+            return send(res, 201, { code });
+        }
+
+        const code = String(parts[1] || "").toUpperCase();
+        const room = rooms.get(code);
+        if (!room) return send(res, 404, { error: `Room ${code} does not exist or has expired.` });
+
+        if (parts.length === 2 && req.method === "GET") {
+            if (room.answer) return send(res, 409, { error: `Room ${code} is already taken.` });
+            return send(res, 200, { offer: room.offer });
+        }
+
+        if (parts.length === 3 && parts[2] === "answer" && req.method === "POST") {
+            const body = await readJson(req);
+            if (typeof body?.answer !== "string" || !body.answer) return send(res, 400, { error: "Missing answer." });
+            if (room.answer) return send(res, 409, { error: `Room ${code} is already taken.` });
+            room.answer = body.answer;
+            for (const wake of room.waiters) wake();
+            return send(res, 204);
+        }
+
+        if (parts.length === 3 && parts[2] === "answer" && req.method === "GET") {
+            if (!room.answer) {
+                await new Promise((resolve) => {
+                    const timer = setTimeout(wake, pollMs);
+                    function wake() {
+                        clearTimeout(timer);
+                        room.waiters.delete(wake);
+                        resolve();
+                    }
+                    room.waiters.add(wake);
+                    res.on("close", wake);
+                });
+            }
+            if (!room.answer) return send(res, 204);
+            // The host has its answer; the room is done.
+            rooms.delete(code);
+            return send(res, 200, { answer: room.answer });
+        }
+
+        return send(res, 404, { error: "Not found." });
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch((e) => {
+            if (!res.headersSent) send(res, 400, { error: String(e?.message || e) });
+        });
+    });
+    return server;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 8787;
+    createSignalingServer().listen(port, () => {
+        console.log(`chatgpt-fighter signaling server on http://localhost:${port}`);
+    });
+}
@@ -0,0 +1,132 @@
+// -----------------------------
+// CPU opponent
+// -----------------------------
+// Plays through the same input masks a human produces, so a CPU match runs,
+// saves and replays like any other. Decisions read the sim state and a private
+// xorshift32 stream (never state.seed), so the same seed and the same opponent
+// inputs always give the same CPU inputs.
+//
+// Levels differ in how late the CPU sees the opponent (reaction), how often it
+// blocks what it saw coming, how eagerly it attacks and how it spends meter on
+// its special projectile.
+
+import * as Sim from "./sim.mjs";
+
+const { FP, IN } = Sim;
+
+export const CPU_LEVELS = {
+    easy: { reaction: 24, block: 0.15, attack: 0.2, special: 0.01, antiAir: 0.05, jumpIn: 0.004, hesitate: 0.03 },
+    normal: { reaction: 14, block: 0.5, attack: 0.45, special: 0.03, antiAir: 0.3, jumpIn: 0.008, hesitate: 0.01 },
+    hard: { reaction: 7, block: 0.85, attack: 0.8, special: 0.08, antiAir: 0.7, jumpIn: 0.012, hesitate: 0 }
+};
+
+const SPECIAL_COST = 35; // see spawnProjectile()
+const ZONING_DIST = 380 * FP; // far enough that a projectile beats walking in
+const THREAT_ETA = 14; // frames until an incoming projectile arrives
+
+// What the CPU knows about the other fighter, as of some frame.
+function observe(state, player) {
+    const me = state.fighters[player];
+    const opp = state.fighters[1 - player];
+
+    let projectileEta = Infinity;
+    for (const p of state.projectiles) {
+        if (p.ownerIdx === player || p.vx === 0) continue;
+        const gap = me.x - p.x;
+        if (Math.sign(gap) !== Math.sign(p.vx)) continue; // flying away
+        projectileEta = Math.min(projectileEta, Math.abs(gap) / Math.abs(p.vx));
+    }
+
+    return {
+        x: opp.x,
+        w: opp.w,
+        state: opp.state,
+        airborne: !opp.onGround,
+        reach: opp.d.range * FP + opp.w / 2 + me.w / 2,
+        projectileEta
+    };
+}
+
+export function createCpu({ player, level = "normal", seed = 1 }) {
+    const L = CPU_LEVELS[level] || CPU_LEVELS.normal;
+    const history = [];
+    let rng = (seed | 0) || 1;
+    let plan = null; // { hold, until }: what to keep pressing after the first frame
+    let lastThreat = false;
+
+    function rand() {
+        rng = Sim.xorshift32(rng);
+        return (rng >>> 0) / 4294967296;
+    }
+
+    // Press `first` now, then `hold` for the rest of `frames`.
+    function commit(first, hold, frames, now) {
+        plan = { hold, until: now + frames };
+        return first;
+    }
+
+    function next(state) {
+        history.push(observe(state, player));
+        if (history.length > L.reaction + 1) history.shift();
+        // Nothing to react to until the oldest observation is old enough.
+        if (history.length <= L.reaction) return 0;
+        const seen = history[0];
+
+        const me = state.fighters[player];
+        const now = state.frame;
+        if (state.koFrame >= 0 || me.state === "ko") return 0;
+
+        const dx = seen.x - me.x;
+        const dist = Math.abs(dx);
+        const toward = dx > 0 ? IN.R : IN.L;
+        const away = dx > 0 ? IN.L : IN.R;
+
+        // Defence: roll once per threat, not once per frame.
+        const attacking = seen.state === "punch" || seen.state === "kick";
+        const threat = (attacking && dist <= seen.reach + 30 * FP) || seen.projectileEta <= THREAT_ETA;
+        if (threat && !lastThreat && me.onGround && rand() < L.block) {
+            lastThreat = threat;
+            return commit(IN.B, IN.B, 16, now);
+        }
+        lastThreat = threat;
+
+        if (plan && now < plan.until) return plan.hold;
+        plan = null;
+
+        // Busy (mid-attack or hit): let go so the next press registers.
+        if (me.stun > 0 || me.state === "hurt" || me.state === "punch" || me.state === "kick" || me.state === "special") {
+            return 0;
+        }
+
+        if (rand() < L.hesitate) return commit(0, 0, 10, now);
+
+        const myReach = me.d.range * FP + me.w / 2 + seen.w / 2;
+
+        // Anti-air a jump-in that is about to land.
+        if (seen.airborne && dist < myReach + 60 * FP && me.cooldown === 0 && rand() < L.antiAir) {
+            return commit(IN.P, 0, 4, now);
+        }
+
+        // In range: punch up close, kick at the tip of the range.
+        if (dist <= myReach) {
+            if (me.cooldown === 0 && rand() < L.attack) {
+                return commit(dist > myReach * 0.75 ? IN.K : IN.P, 0, 4, now);
+            }
+            // Back off a little instead of standing in front of them.
+            return commit(away, away, 8, now);
+        }
+
+        // Far away: throw the special when there is meter for it.
+        if (dist > ZONING_DIST && me.meter >= SPECIAL_COST && me.specialCD === 0 && rand() < L.special) {
+            return commit(IN.S, 0, 6, now);
+        }
+
+        if (me.onGround && rand() < L.jumpIn) {
+            return commit(IN.J | toward, toward, 20, now);
+        }
+
+        return toward;
+    }
+
+    return { player, level: CPU_LEVELS[level] ? level : "normal", next };
+}
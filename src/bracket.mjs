@@ -0,0 +1,222 @@
+// -----------------------------
+// Tournament brackets
+// -----------------------------
+// A bracket is its entrants (in seed order), its format and the winners
+// recorded so far. Everything else (who plays whom, byes, who is out) is
+// derived by resolveBracket, so a saved or exported bracket can't disagree
+// with itself.
+//
+// Entrants are opaque to this module apart from `user`; matches refer to
+// them by index. Slots are filled from a seed or from another match's
+// winner/loser. BYE marks a slot that nobody will ever fill: padding up to
+// a power of two, or the loser of a match that was itself a bye.
+
+export const FORMATS = ["single", "double"];
+export const MIN_ENTRANTS = 2;
+export const MAX_ENTRANTS = 32;
+export const BYE = -1;
+
+// Standard seeding for a power-of-two bracket: 1 meets the last seed,
+// and the top two seeds can only meet in the final.
+function seedOrder(size) {
+    let order = [0];
+    while (order.length < size) {
+        const n = order.length * 2;
+        order = order.flatMap(s => [s, n - 1 - s]);
+    }
+    return order;
+}
+
+const fromSeed = (seed) => ({ seed });
+const fromMatch = (match, take) => ({ match, take });
+
+function winnersBracket(size) {
+    const matches = [];
+    const rounds = Math.log2(size);
+    const order = seedOrder(size);
+    for (let r = 1; r <= rounds; r++) {
+        const count = size >> r;
+        for (let k = 0; k < count; k++) {
+            matches.push({
+                id: `W${r}-${k + 1}`,
+                side: "W",
+                round: r,
+                src: r === 1
+                    ? [fromSeed(order[2 * k]), fromSeed(order[2 * k + 1])]
+                    : [fromMatch(`W${r - 1}-${2 * k + 1}`, "winner"), fromMatch(`W${r - 1}-${2 * k + 2}`, "winner")]
+            });
+        }
+    }
+    return matches;
+}
+
+// Losers of winners' round 1 play each other; after that, every other
+// round takes in the losers of the next winners' round. Drop-ins are
+// flipped on alternate rounds so early opponents don't meet again at once.
+function losersBracket(size) {
+    const matches = [];
+    const rounds = Math.log2(size);
+    if (rounds < 2) return matches;
+
+    let prev = [];
+    for (let k = 0; k < size / 4; k++) {
+        const id = `L1-${k + 1}`;
+        matches.push({
+            id,
+            side: "L",
+            round: 1,
+            src: [fromMatch(`W1-${2 * k + 1}`, "loser"), fromMatch(`W1-${2 * k + 2}`, "loser")]
+        });
+        prev.push(id);
+    }
+
+    let round = 1;
+    for (let w = 2; w <= rounds; w++) {
+        round++;
+        const count = size >> w;
+        const dropIns = [];
+        for (let k = 0; k < count; k++) {
+            const from = w % 2 === 0 ? count - k : k + 1;
+            const id = `L${round}-${k + 1}`;
+            matches.push({ id, side: "L", round, src: [fromMatch(prev[k], "winner"), fromMatch(`W${w}-${from}`, "loser")] });
+            dropIns.push(id);
+        }
+        prev = dropIns;
+        if (w === rounds) break;
+
+        round++;
+        prev = [];
+        for (let k = 0; k < count / 2; k++) {
+            const id = `L${round}-${k + 1}`;
+            matches.push({
+                id,
+                side: "L",
+                round,
+                src: [fromMatch(dropIns[2 * k], "winner"), fromMatch(dropIns[2 * k + 1], "winner")]
+            });
+            prev.push(id);
+        }
+    }
+    return matches;
+}
+
+function doubleElimination(size) {
+    const winners = winnersBracket(size);
+    const losers = losersBracket(size);
+    const wFinal = winners[winners.length - 1].id;
+    // With two entrants the "losers' champion" is simply the final's loser.
+    const lChampion = losers.length ? fromMatch(losers[losers.length - 1].id, "winner") : fromMatch(wFinal, "loser");
+    return [
+        ...winners,
+        ...losers,
+        { id: "GF-1", side: "GF", round: 1, src: [fromMatch(wFinal, "winner"), lChampion] },
+        // Only played when the losers' side takes the first final.
+        { id: "GF-2", side: "GF", round: 2, src: [fromMatch("GF-1", "winner"), fromMatch("GF-1", "loser")], reset: true }
+    ];
+}
+
+export function createBracket({ format = "single", entrants }) {
+    if (!FORMATS.includes(format)) throw new Error(`Unknown bracket format "${format}".`);
+    if (!Array.isArray(entrants) || entrants.length < MIN_ENTRANTS) {
+        throw new Error(`A bracket needs at least ${MIN_ENTRANTS} entrants.`);
+    }
+    if (entrants.length > MAX_ENTRANTS) throw new Error(`A bracket takes at most ${MAX_ENTRANTS} entrants.`);
+
+    let size = 2;
+    while (size < entrants.length) size *= 2;
+    return {
+        format,
+        entrants: entrants.slice(),
+        matches: format === "double" ? doubleElimination(size) : winnersBracket(size),
+        results: {}
+    };
+}
+
+// Every match with its players filled in as far as the results allow.
+// status: "waiting" (a slot is still open), "ready", "done", "bye"
+// (decided without playing) or "skipped" (a grand final reset nobody needs).
+export function resolveBracket(bracket) {
+    const byId = new Map();
+    const matches = [];
+
+    const slot = (src) => {
+        if ("seed" in src) return src.seed < bracket.entrants.length ? src.seed : BYE;
+        const m = byId.get(src.match);
+        if (m.winner == null) return null;
+        return src.take === "winner" ? m.winner : m.loser;
+    };
+
+    for (const def of bracket.matches) {
+        const [a, b] = def.src.map(slot);
+        const m = { id: def.id, side: def.side, round: def.round, a, b, winner: null, loser: null, status: "waiting" };
+
+        if (def.reset && a != null) {
+            // GF-2 copies GF-1's players; it's only live if GF-1's loser came through the winners' side.
+            const first = byId.get(def.src[0].match);
+            if (first.winner === first.a) {
+                Object.assign(m, { a: first.a, b: first.b, winner: first.winner, loser: first.loser, status: "skipped" });
+            }
+        }
+
+        if (m.status === "waiting" && m.a != null && m.b != null) {
+            if (m.a === BYE || m.b === BYE) {
+                m.winner = m.a === BYE ? m.b : m.a;
+                m.loser = BYE;
+                m.status = "bye";
+            } else if (def.id in bracket.results) {
+                m.winner = bracket.results[def.id];
+                m.loser = m.winner === m.a ? m.b : m.a;
+                m.status = "done";
+            } else {
+                m.status = "ready";
+            }
+        }
+
+        byId.set(def.id, m);
+        matches.push(m);
+    }
+
+    const last = matches[matches.length - 1];
+    const champion = last.winner != null && last.winner !== BYE ? last.winner : null;
+    return { matches, champion };
+}
+
+export function findMatch(bracket, id) {
+    return resolveBracket(bracket).matches.find(m => m.id === id) || null;
+}
+
+// A copy of the bracket with `winner` (an entrant index) recorded for match `id`.
+export function recordResult(bracket, id, winner) {
+    const m = findMatch(bracket, id);
+    if (!m) throw new Error(`No match "${id}" in this bracket.`);
+    if (m.status !== "ready") throw new Error(`Match ${id} can't take a result right now.`);
+    if (winner !== m.a && winner !== m.b) throw new Error(`That entrant isn't playing match ${id}.`);
+    return { ...bracket, results: { ...bracket.results, [id]: winner } };
+}
+
+// Human-readable names for the bracket sections.
+export function matchLabel(m, bracket) {
+    if (m.side === "GF") return m.round === 1 ? "Grand final" : "Grand final reset";
+    const rounds = bracket.matches.filter(x => x.side === m.side).reduce((n, x) => Math.max(n, x.round), 0);
+    if (m.side === "W" && bracket.format === "single") {
+        if (m.round === rounds) return "Final";
+        if (m.round === rounds - 1) return "Semifinal";
+        return `Round ${m.round}`;
+    }
+    if (m.round === rounds) return m.side === "W" ? "Winners' final" : "Losers' final";
+    return `${m.side === "W" ? "Winners'" : "Losers'"} round ${m.round}`;
+}
+
+// Plain JSON for sharing the results: names instead of indexes, byes left out.
+export function exportBracket(bracket, describe = (e) => ({ user: e.user })) {
+    const { matches, champion } = resolveBracket(bracket);
+    const name = (i) => (i == null || i === BYE ? null : bracket.entrants[i].user);
+    return {
+        format: bracket.format,
+        entrants: bracket.entrants.map((e, i) => ({ seed: i + 1, ...describe(e) })),
+        matches: matches
+            .filter(m => m.status !== "bye" && m.status !== "skipped")
+            .map(m => ({ id: m.id, label: matchLabel(m, bracket), a: name(m.a), b: name(m.b), winner: name(m.winner) })),
+        champion: name(champion)
+    };
+}
@@ -0,0 +1,38 @@
+// -----------------------------
+// Lobby chat and emotes
+// -----------------------------
+// Chat text comes from the other player, so both sides clean it: the sender
+// before sending (so it sees what was sent) and the receiver before showing
+// it. The renderer only ever puts it in textContent.
+
+export const MAX_CHAT_LENGTH = 200;
+export const MAX_CHAT_LOG = 100;
+
+// Quick emotes travel as ids; each side renders its own text.
+export const EMOTES = [
+    { id: "gg", text: "GG" },
+    { id: "glhf", text: "Good luck, have fun!" },
+    { id: "nice", text: "Nice one!" },
+    { id: "again", text: "One more?" },
+    { id: "oops", text: "Oops." },
+    { id: "wow", text: "Wow!" },
+    { id: "thanks", text: "Thanks!" },
+    { id: "brb", text: "Be right back." }
+];
+
+// C0/C1 controls, zero-width characters and bidi overrides/isolates.
+const UNSAFE_RE = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]/g;
+
+export function sanitizeChatText(text) {
+    const clean = String(text ?? "")
+        .normalize("NFC")
+        .replace(UNSAFE_RE, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+    // Cut by code point so a surrogate pair is never split.
+    return [...clean].slice(0, MAX_CHAT_LENGTH).join("");
+}
+
+export function emoteText(id) {
+    return EMOTES.find(e => e.id === id)?.text ?? null;
+}
@@ -0,0 +1,101 @@
+// -----------------------------
+// Build compatibility handshake
+// -----------------------------
+// Two peers can only play if they simulate identically. `hello` carries:
+//   app    app version (informational; shown when something else differs)
+//   proto  message/packet protocol version
+//   spec   CharacterSpec version
+//   rules  fingerprint of the simulation rules
+// The fingerprint hashes the CharacterSpec limits plus the outcome of a
+// short probe match, so any change to derivedStats, physics or combat
+// shows up even if nobody remembered to bump a version.
+
+import * as Sim from "./sim.mjs";
+
+// 2: binary input packets (protocol.mjs)
+// 3: commit-reveal seed before `start` (seed.mjs)
+// 4: start-ack/go handshake and frame-based countdown
+// 5: rematch votes; `start` carries hostSeat and the set score
+// 6: `forfeit` claims after a stall, answered with `forfeit-ok` / `forfeit-no`; `concede` on leaving
+// 7: `chat` and `emote` messages
+// 8: repeated `hello` (new pick) and the `ready` check
+// 9: `start` carries the round rules
+export const PROTOCOL_VERSION = 9;
+
+function probeChar(id, stats) {
+    return {
+        version: 1,
+        id,
+        name: id,
+        tagline: "",
+        palette: { primary: "#66e3ff", secondary: "#a5ff7a" },
+        stats,
+        moves: { specialName: "Probe", projectileSpeed: 12, projectileSize: 14 },
+        meta: { createdAt: "2026-01-01T00:00:00.000Z", authorHint: "probe" }
+    };
+}
+
+// [frames, p1 buttons, p2 buttons]: close in, trade taps, pressure a
+// blocking opponent, then specials and a jump-in. Attacks fire on press,
+// so every tap is followed by a release.
+const repeat = (n, steps) => Array.from({ length: n }, () => steps).flat();
+const PROBE_SCRIPT = [
+    [50, "R", "L"],
+    ...repeat(8, [[4, "P", "K"], [10, "", ""]]),
+    ...repeat(6, [[4, "K", "BL"], [10, "R", ""]]),
+    [4, "S", "S"], [30, "", ""], [10, "JR", "B"], [4, "K", ""], [30, "", ""], [4, "S", "S"], [30, "", ""]
+];
+
+// A second run with short rounds and a clock covers the round logic too.
+const PROBE_ROUNDS = { roundsToWin: 2, roundSeconds: 1, introFrames: 10 };
+
+function runProbe(rules) {
+    const state = Sim.createState({
+        seed: 0x5eed,
+        p1Char: probeChar("probe-a", { health: 3, attack: 7, defense: 4, speed: 6, jump: 5, special: 6, range: 3 }),
+        p2Char: probeChar("probe-b", { health: 7, attack: 4, defense: 6, speed: 3, jump: 6, special: 3, range: 5 }),
+        rules
+    });
+    const mask = (buttons) => [...buttons].reduce((m, c) => m | Sim.IN[c], 0);
+    for (const [count, a, b] of PROBE_SCRIPT) {
+        for (let i = 0; i < count; i++) Sim.step(state, [mask(a), mask(b)]);
+    }
+    return Sim.hashState(state);
+}
+
+export function rulesFingerprint(specRules) {
+    const constants = [Sim.FP, Sim.ARENA_W, Sim.ARENA_H, Sim.GROUND_Y, Sim.FPS, Sim.ROUND_BREAK_FRAMES];
+    const probe = [runProbe(), runProbe(PROBE_ROUNDS)];
+    return (Sim.hashStr32(JSON.stringify({ spec: specRules, constants, probe })) >>> 0).toString(16);
+}
+
+export function compatInfo({ appVersion, specVersion, specRules }) {
+    return {
+        app: String(appVersion || "?"),
+        proto: PROTOCOL_VERSION,
+        spec: specVersion,
+        rules: rulesFingerprint(specRules)
+    };
+}
+
+// [] when the peers can play together, otherwise one sentence per problem.
+export function compatProblems(local, remote) {
+    if (!remote || typeof remote !== "object") {
+        return ["The other player runs an older build that doesn't report its version. Both players need the same version."];
+    }
+
+    const problems = [];
+    if (remote.proto !== local.proto) {
+        problems.push(`Network protocol differs (theirs v${remote.proto}, yours v${local.proto}).`);
+    }
+    if (remote.spec !== local.spec) {
+        problems.push(`Character format differs (theirs v${remote.spec}, yours v${local.spec}).`);
+    }
+    if (remote.rules !== local.rules) {
+        problems.push("Game rules differ (stats, physics or combat changed between builds), so the match would desync.");
+    }
+    if (problems.length && remote.app !== local.app) {
+        problems.push(`They run version ${remote.app}, you run ${local.app}. Update both to the same version.`);
+    }
+    return problems;
+}
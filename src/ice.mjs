@@ -0,0 +1,67 @@
+// -----------------------------
+// ICE server settings
+// -----------------------------
+// The settings editor holds one server per line:
+//   stun:stun.l.google.com:19302
+//   turn:turn.example.com:3478?transport=udp  alice  s3cret
+// TURN entries need a username and credential; STUN entries take none.
+
+export const DEFAULT_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+export const MAX_ICE_SERVERS = 8;
+
+const ICE_URL = /^(stuns?|turns?):(\[[0-9a-fA-F:.]+\]|[\w.-]+)(:(\d{1,5}))?(\?transport=(udp|tcp))?$/;
+
+export function formatIceServers(servers) {
+    return servers
+        .map(s => [s.urls, s.username, s.credential].filter(Boolean).join(" "))
+        .join("\n");
+}
+
+// Returns { ok, servers } or { ok: false, errors } with one message per bad line.
+export function parseIceServers(text) {
+    const servers = [];
+    const errors = [];
+
+    String(text || "").split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith("#")) return;
+        const where = `Line ${i + 1}`;
+        const [url, username, credential, ...extra] = line.split(/\s+/);
+
+        const m = ICE_URL.exec(url);
+        if (!m) {
+            errors.push(`${where}: "${url}" is not a stun:, stuns:, turn: or turns: URL.`);
+            return;
+        }
+        const [, scheme, , , port, , transport] = m;
+        if (port && (Number(port) < 1 || Number(port) > 65535)) {
+            errors.push(`${where}: port ${port} is out of range.`);
+            return;
+        }
+        if (extra.length) {
+            errors.push(`${where}: expected "url [username credential]".`);
+            return;
+        }
+
+        if (scheme.startsWith("stun")) {
+            if (transport) errors.push(`${where}: STUN URLs don't take a transport.`);
+            else if (username) errors.push(`${where}: STUN servers don't take credentials.`);
+            else servers.push({ urls: url });
+            return;
+        }
+
+        if (!username || !credential) {
+            errors.push(`${where}: TURN servers need a username and credential.`);
+            return;
+        }
+        servers.push({ urls: url, username, credential });
+    });
+
+    if (servers.length > MAX_ICE_SERVERS) errors.push(`At most ${MAX_ICE_SERVERS} servers are allowed.`);
+    return errors.length ? { ok: false, errors } : { ok: true, servers };
+}
+
+export function buildIceConfig({ servers, hostOnly }) {
+    // No servers means no STUN/TURN candidates: host candidates only, for LAN play.
+    return { iceServers: hostOnly ? [] : servers.map(s => ({ ...s })) };
+}
@@ -0,0 +1,41 @@
+// -----------------------------
+// Round-trip time and input delay
+// -----------------------------
+// Peers ping each other about once a second. The tracker keeps a short
+// window of RTT samples; the recommended input delay covers the one-way
+// trip plus a jitter margin, so lockstep rarely has to wait on the wire.
+
+export const RTT_WINDOW = 20;
+export const MIN_DELAY_FRAMES = 0;
+export const MAX_DELAY_FRAMES = 6;
+
+export function createRttTracker(size = RTT_WINDOW) {
+    const samples = [];
+    return {
+        add(ms) {
+            if (!Number.isFinite(ms) || ms < 0) return;
+            samples.push(ms);
+            if (samples.length > size) samples.shift();
+        },
+        reset() {
+            samples.length = 0;
+        },
+        // null until there is at least one sample
+        stats() {
+            if (!samples.length) return null;
+            const sorted = [...samples].sort((a, b) => a - b);
+            const rtt = sorted[sorted.length >> 1];
+            const jitter = samples.reduce((sum, s) => sum + Math.abs(s - rtt), 0) / samples.length;
+            return { rtt, jitter, samples: samples.length };
+        }
+    };
+}
+
+export function recommendDelayFrames(stats, { fps = 60, netcode = "lockstep" } = {}) {
+    if (!stats) return null;
+    const frameMs = 1000 / fps;
+    const lockstep = Math.ceil((stats.rtt / 2 + 2 * stats.jitter) / frameMs);
+    // Rollback hides the rest of the trip by predicting, so it wants about half.
+    const frames = netcode === "rollback" ? Math.ceil(lockstep / 2) : lockstep;
+    return Math.max(MIN_DELAY_FRAMES, Math.min(MAX_DELAY_FRAMES, frames));
+}
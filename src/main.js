@@ -1,5 +1,7 @@
-import { app, BrowserWindow } from 'electron';
+import { app, BrowserWindow, ipcMain } from 'electron';
 import path from 'node:path';
+import fs from 'node:fs/promises';
+import dgram from 'node:dgram';
 import started from 'electron-squirrel-startup';
 
 // Handle creating/removing shortcuts on Windows when installing/uninstalling.
@@ -7,6 +9,177 @@ if (started) {
     app.quit();
 }
 
+// Replay files live in the user data folder; the renderer only sees bare names.
+const REPLAY_NAME = /^[\w.-]+\.cgfr$/;
+
+function replayDir() {
+    return path.join(app.getPath('userData'), 'replays');
+}
+
+function replayPath(name) {
+    if (!REPLAY_NAME.test(String(name))) throw new Error(`Invalid replay name: ${name}`);
+    return path.join(replayDir(), name);
+}
+
+function registerReplayHandlers() {
+    ipcMain.handle('replays:save', async (_e, name, text) => {
+        await fs.mkdir(replayDir(), { recursive: true });
+        await fs.writeFile(replayPath(name), String(text), 'utf8');
+        return name;
+    });
+
+    ipcMain.handle('replays:list', async () => {
+        let names = [];
+        try {
+            names = (await fs.readdir(replayDir())).filter(n => REPLAY_NAME.test(n));
+        } catch {
+            return [];
+        }
+        // Names start with a timestamp, so newest first is a reverse sort.
+        return names.sort().reverse();
+    });
+
+    ipcMain.handle('replays:read', async (_e, name) => fs.readFile(replayPath(name), 'utf8'));
+
+    ipcMain.handle('replays:delete', async (_e, name) => {
+        await fs.rm(replayPath(name), { force: true });
+    });
+}
+
+// LAN discovery: hosts broadcast their Offer code on the local network and
+// joiners broadcast their Answer back, addressed by lobby id. Everything is
+// plain JSON over UDP broadcast; anyone on the LAN can see the codes.
+const LAN_PORT = 47800;
+const LAN_ANNOUNCE_MS = 1000;
+const LAN_EXPIRE_MS = 3500;
+const LAN_MAX_BYTES = 4096;
+
+const lan = {
+    socket: null,
+    hosting: null,       // { id, user, char, offer } we announce
+    announceTimer: null,
+    expireTimer: null,   // pushes the list when lobbies time out; one per socket
+    lobbies: new Map(),  // id -> { id, user, char, offer, address, seen }
+};
+
+function lanBroadcast(msg) {
+    if (!lan.socket) return;
+    const buf = Buffer.from(JSON.stringify({ kind: 'cgf-lan', v: 1, ...msg }));
+    lan.socket.send(buf, LAN_PORT, '255.255.255.255', () => { });
+}
+
+function lanSendToRenderers(channel, payload) {
+    for (const win of BrowserWindow.getAllWindows()) win.webContents.send(channel, payload);
+}
+
+function lanLobbyList() {
+    const now = Date.now();
+    for (const [id, lobby] of lan.lobbies) {
+        if (now - lobby.seen > LAN_EXPIRE_MS) lan.lobbies.delete(id);
+    }
+    return [...lan.lobbies.values()].map(({ id, user, char, offer, address }) => ({ id, user, char, offer, address }));
+}
+
+function lanOnMessage(buf, rinfo) {
+    if (buf.length > LAN_MAX_BYTES) return;
+    let msg;
+    try { msg = JSON.parse(buf.toString('utf8')); } catch { return; }
+    if (msg?.kind !== 'cgf-lan' || msg.v !== 1 || typeof msg.id !== 'string') return;
+
+    if (msg.t === 'announce') {
+        if (lan.hosting?.id === msg.id || typeof msg.offer !== 'string') return;
+        const isNew = !lan.lobbies.has(msg.id);
+        lan.lobbies.set(msg.id, {
+            id: msg.id,
+            user: String(msg.user || 'Player').slice(0, 32),
+            char: String(msg.char || '').slice(0, 48),
+            offer: msg.offer,
+            address: rinfo.address,
+            seen: Date.now(),
+        });
+        if (isNew) lanSendToRenderers('lan:lobbies', lanLobbyList());
+    } else if (msg.t === 'bye') {
+        if (lan.lobbies.delete(msg.id)) lanSendToRenderers('lan:lobbies', lanLobbyList());
+    } else if (msg.t === 'answer') {
+        if (lan.hosting?.id !== msg.id || typeof msg.answer !== 'string') return;
+        lanSendToRenderers('lan:answer', { id: msg.id, answer: msg.answer, address: rinfo.address });
+    }
+}
+
+function lanEnsureSocket() {
+    if (lan.socket) return;
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    socket.on('message', lanOnMessage);
+    socket.on('error', (err) => {
+        // The next lan:start/host/answer tries again with a fresh socket.
+        try { socket.close(); } catch { }
+        if (lan.socket !== socket) return;
+        lan.socket = null;
+        clearInterval(lan.expireTimer);
+        lan.expireTimer = null;
+        lanSendToRenderers('lan:status', { ok: false, error: `LAN discovery is off: ${err.message}` });
+    });
+    socket.bind(LAN_PORT, () => {
+        socket.setBroadcast(true);
+        lanSendToRenderers('lan:status', { ok: true });
+    });
+    lan.socket = socket;
+
+    // Expiry only shows up in the list if someone pushes it.
+    if (!lan.expireTimer) {
+        lan.expireTimer = setInterval(() => {
+            const before = lan.lobbies.size;
+            const list = lanLobbyList();
+            if (list.length !== before) lanSendToRenderers('lan:lobbies', list);
+        }, LAN_ANNOUNCE_MS);
+    }
+}
+
+function lanStopHosting() {
+    clearInterval(lan.announceTimer);
+    lan.announceTimer = null;
+    if (lan.hosting) lanBroadcast({ t: 'bye', id: lan.hosting.id });
+    lan.hosting = null;
+}
+
+function lanShutdown() {
+    lanStopHosting();
+    clearInterval(lan.expireTimer);
+    lan.expireTimer = null;
+    if (lan.socket) {
+        try { lan.socket.close(); } catch { }
+        lan.socket = null;
+    }
+}
+
+function registerLanHandlers() {
+    ipcMain.handle('lan:start', () => {
+        lanEnsureSocket();
+        return lanLobbyList();
+    });
+
+    ipcMain.handle('lan:host', (_e, info) => {
+        lanEnsureSocket();
+        lanStopHosting();
+        lan.hosting = {
+            id: String(info.id),
+            user: String(info.user || ''),
+            char: String(info.char || ''),
+            offer: String(info.offer || ''),
+        };
+        const announce = () => lanBroadcast({ t: 'announce', ...lan.hosting });
+        announce();
+        lan.announceTimer = setInterval(announce, LAN_ANNOUNCE_MS);
+    });
+
+    ipcMain.handle('lan:stopHosting', () => lanStopHosting());
+
+    ipcMain.handle('lan:answer', (_e, id, answer) => {
+        lanEnsureSocket();
+        lanBroadcast({ t: 'answer', id: String(id), answer: String(answer) });
+    });
+}
+
 async function createWindow() {
     const win = new BrowserWindow({
         width: 1200,
@@ -32,6 +205,8 @@ async function createWindow() {
 }
 
 app.whenReady().then(() => {
+    registerReplayHandlers();
+    registerLanHandlers();
     createWindow();
 
     app.on('activate', () => {
@@ -40,5 +215,8 @@ app.whenReady().then(() => {
 });
 
 app.on('window-all-closed', () => {
+    lanStopHosting();
     if (process.platform !== 'darwin') app.quit();
-});
\ No newline at end of file
+});
+
+app.on('will-quit', () => lanShutdown());
\ No newline at end of file
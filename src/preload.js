@@ -1,6 +1,23 @@
-const { contextBridge } = require("electron");
+const { contextBridge, ipcRenderer } = require("electron");
 
 contextBridge.exposeInMainWorld("CFG", {
     appName: "chatgpt-fighter",
-    version: "1.0.0"
-});
\ No newline at end of file
+    version: "1.0.4"
+});
+
+contextBridge.exposeInMainWorld("ReplayFiles", {
+    save: (name, text) => ipcRenderer.invoke("replays:save", name, text),
+    list: () => ipcRenderer.invoke("replays:list"),
+    read: (name) => ipcRenderer.invoke("replays:read", name),
+    remove: (name) => ipcRenderer.invoke("replays:delete", name)
+});
+
+contextBridge.exposeInMainWorld("LanDiscovery", {
+    start: () => ipcRenderer.invoke("lan:start"),
+    host: (info) => ipcRenderer.invoke("lan:host", info),
+    stopHosting: () => ipcRenderer.invoke("lan:stopHosting"),
+    answer: (id, answerCode) => ipcRenderer.invoke("lan:answer", id, answerCode),
+    onLobbies: (cb) => ipcRenderer.on("lan:lobbies", (_e, list) => cb(list)),
+    onAnswer: (cb) => ipcRenderer.on("lan:answer", (_e, msg) => cb(msg)),
+    onStatus: (cb) => ipcRenderer.on("lan:status", (_e, status) => cb(status))
+});
@@ -0,0 +1,53 @@
+// -----------------------------
+// Binary input protocol
+// -----------------------------
+// Inputs travel as small binary packets instead of {t:"in"} JSON. Every
+// packet repeats all local inputs the peer has not acknowledged yet (up to
+// INPUT_WINDOW frames) and acknowledges the peer's inputs in return, so a
+// lost or late packet is covered by the next one.
+//
+// Layout (little endian):
+//   u8   type      PKT_INPUTS
+//   u32  match     seed of the match; packets from another match are dropped
+//   u32  ack + 1   highest contiguous peer frame received (-1 -> 0)
+//   u32  from      frame of the first mask
+//   u8   count     number of masks that follow
+//   u8[] masks     one input mask per frame
+
+export const PKT_INPUTS = 1;
+export const INPUT_WINDOW = 32;
+
+const HEADER_BYTES = 14;
+
+export function encodeInputPacket({ match, ack, from, masks }) {
+    const count = Math.min(masks.length, INPUT_WINDOW);
+    const buf = new ArrayBuffer(HEADER_BYTES + count);
+    const view = new DataView(buf);
+    view.setUint8(0, PKT_INPUTS);
+    view.setUint32(1, match >>> 0, true);
+    view.setUint32(5, (ack + 1) >>> 0, true);
+    view.setUint32(9, from >>> 0, true);
+    view.setUint8(13, count);
+    for (let i = 0; i < count; i++) view.setUint8(HEADER_BYTES + i, masks[i] & 0x7f);
+    return buf;
+}
+
+// Returns null for anything that isn't a well-formed packet.
+export function decodePacket(buf) {
+    if (!(buf instanceof ArrayBuffer) || buf.byteLength < HEADER_BYTES) return null;
+    const view = new DataView(buf);
+    if (view.getUint8(0) !== PKT_INPUTS) return null;
+
+    const count = view.getUint8(13);
+    if (buf.byteLength !== HEADER_BYTES + count) return null;
+
+    const masks = [];
+    for (let i = 0; i < count; i++) masks.push(view.getUint8(HEADER_BYTES + i) & 0x7f);
+    return {
+        type: PKT_INPUTS,
+        match: view.getUint32(1, true),
+        ack: view.getUint32(5, true) - 1,
+        from: view.getUint32(9, true),
+        masks
+    };
+}
@@ -1,3 +1,16 @@
+import * as Sim from './sim.mjs';
+import * as ReplayCodec from './replay.mjs';
+import * as Protocol from './protocol.mjs';
+import * as Signal from './signal.mjs';
+import * as Ice from './ice.mjs';
+import * as Latency from './latency.mjs';
+import * as Compat from './compat.mjs';
+import * as Seed from './seed.mjs';
+import * as Chat from './chat.mjs';
+import * as AI from './ai.mjs';
+import * as Bracket from './bracket.mjs';
+import QRCode from 'qrcode';
+
 (() => {
     // -----------------------------
     // Utilities
@@ -15,8 +28,27 @@
         await navigator.clipboard.writeText(text);
     }
 
+    function downloadJson(filename, value) {
+        downloadText(filename, JSON.stringify(value, null, 2), "application/json");
+    }
+
+    function downloadText(filename, text, type = "text/plain") {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     function fmtPct(x) { return `${Math.round(clamp(x, 0, 1) * 100)}%`; }
 
+    function fmtFrames(frames) {
+        const sec = Math.floor(frames / Sim.FPS);
+        return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+    }
+
     // -----------------------------
     // Storage
     // -----------------------------
@@ -36,11 +68,54 @@
         del(key) { localStorage.removeItem(key); }
     };
 
+    // -----------------------------
+    // Replay files (written by the main process, see ReplayFiles in preload.js)
+    // -----------------------------
+    const Replays = {
+        available() { return !!window.ReplayFiles; },
+        async save(replay, { unique = false } = {}) {
+            if (!window.ReplayFiles) return null;
+            let name = ReplayCodec.replayFileName(replay);
+            if (unique) {
+                // Imports never replace a replay that is already in the library.
+                const taken = new Set(await window.ReplayFiles.list());
+                const base = name.slice(0, -ReplayCodec.REPLAY_EXT.length);
+                for (let n = 2; taken.has(name); n++) name = `${base}-${n}${ReplayCodec.REPLAY_EXT}`;
+            }
+            await window.ReplayFiles.save(name, JSON.stringify(replay));
+            return name;
+        },
+        async list() {
+            if (!window.ReplayFiles) return [];
+            return window.ReplayFiles.list();
+        },
+        async load(name) {
+            return parseReplayText(await window.ReplayFiles.read(name));
+        },
+        async remove(name) {
+            if (window.ReplayFiles) await window.ReplayFiles.remove(name);
+        }
+    };
+
+    function parseReplayText(text) {
+        const parsed = safeJsonParse(text);
+        if (!parsed.ok) throw new Error(`Replay is not valid JSON: ${parsed.error}`);
+        const r = ReplayCodec.parseReplay(parsed.value);
+        // Characters go through the same fairness check as a remote hello.
+        for (const p of r.players) {
+            const v = validateAndNormalizeCharacter(p.char);
+            if (!v.ok) throw new Error(`Replay character is invalid: ${v.errors.join(" ")}`);
+            p.char = v.character;
+        }
+        return r;
+    }
+
     const KEYS = {
         username: "cgf_username",
         chars: "cgf_characters",
         activeCharId: "cgf_activeCharId",
-        settings: "cgf_settings"
+        settings: "cgf_settings",
+        tournament: "cgf_tournament"
     };
 
     // -----------------------------
@@ -50,11 +125,31 @@
         volume: 0.6,
         music: true,
         sfx: true,
-        inputDelayFrames: 2
+        inputDelayFrames: 2,
+        delayMode: "auto", // "fixed" | "auto" (from ping at match start) | "adaptive" (also mid-match)
+        bestOf: 1, // host's set length: 1, 3, 5 or 7
+        roundsToWin: 1, // rounds per match (host's choice for netplay)
+        roundSeconds: 0, // round timer; 0 = none
+        swapSides: true, // host alternates P1/P2 between games of a set
+        netcode: "lockstep", // "lockstep" | "rollback" (host's choice is used for the match)
+        spectatorDelaySec: 2, // how far spectators trail the confirmed match
+        stallTimeoutSec: 15, // opponent silence before a forfeit win can be claimed
+        chatMuted: false, // drop the opponent's chat messages and emotes
+        inputTransport: "reliable", // "reliable" | "unreliable" (host's choice, set when the Offer is made)
+        lanAnnounce: true, // announce Host offers to "Games on your LAN"
+        localOpponent: "human", // local P2: "human" (arrow keys) or a CPU level: "easy" | "normal" | "hard"
+        signalingUrl: "http://localhost:8787", // room-code server (npm run signal)
+        iceServers: Ice.DEFAULT_ICE_SERVERS,
+        iceHostOnly: false // no STUN/TURN: host candidates only
     };
 
     let settings = { ...DefaultSettings, ...(Storage.get(KEYS.settings, {}) || {}) };
 
+    // Stored ICE servers get the same check as the editor before they reach RTCPeerConnection.
+    if (!Array.isArray(settings.iceServers) || !Ice.parseIceServers(Ice.formatIceServers(settings.iceServers)).ok) {
+        settings.iceServers = DefaultSettings.iceServers;
+    }
+
     function saveSettings() {
         Storage.set(KEYS.settings, settings);
         Audio.setMaster(settings.volume);
@@ -181,22 +276,8 @@
         return { ok: true, character: normalized, budgetSum: sum };
     }
 
-    function derivedStats(stats) {
-        // All integers
-        return {
-            maxHP: 900 + stats.health * 55,           // ~1065..1395
-            atk: 8 + stats.attack * 2,                // 14..26
-            def: 8 + stats.defense * 2,               // 14..26
-            run: 220 + stats.speed * 18,              // (scaled later)
-            jump: 520 + stats.jump * 20,              // (scaled later)
-            meterGain: 8 + stats.special * 2,         // 14..26
-            range: 18 + stats.range * 4,              // 30..54
-            projBonus: stats.range                     // influences projectile damage modestly
-        };
-    }
-
     function characterSummaryText(c) {
-        const d = derivedStats(c.stats);
+        const d = Sim.derivedStats(c.stats);
         const sum = CharacterSpec.stats.reduce((acc, k) => acc + c.stats[k], 0);
         return [
             `Name: ${c.name}`,
@@ -446,28 +527,62 @@ Now output the JSON.`.trim();
     const Net = (() => {
         let pc = null;
         let dc = null;
+        let inputDc = null; // optional unordered, unreliable channel for input packets
         let isHost = false;
 
+        const INPUT_CHANNEL = "cgf-inputs";
+
+        // Host only: extra read-only links for spectators.
+        const spectators = new Map(); // id -> { pc, dc }
+        let pendingSpectator = null;  // { id, pc, dc } waiting for its answer
+        let nextSpectatorId = 1;
+
         let onOpen = () => { };
         let onClose = () => { };
         let onMessage = (msg) => { };
+        let onPacket = (buf) => { };
         let onStatus = (s) => { };
+        let onSpectatorOpen = (id) => { };
+        let onSpectatorsChanged = (count) => { };
 
-        const ICE_CONFIG = {
-            // Public STUN. For many home NATs this is enough.
-            iceServers: [{ urls: "stun:stun.l.google.com:19302" }]
-        };
+        function iceConfig() {
+            // From settings (validated in ice.mjs). Default is one public STUN server.
+            return Ice.buildIceConfig({ servers: settings.iceServers, hostOnly: settings.iceHostOnly });
+        }
 
         function setHandlers(h) {
             onOpen = h.onOpen || onOpen;
             onClose = h.onClose || onClose;
             onMessage = h.onMessage || onMessage;
+            onPacket = h.onPacket || onPacket;
             onStatus = h.onStatus || onStatus;
+            onSpectatorOpen = h.onSpectatorOpen || onSpectatorOpen;
+            onSpectatorsChanged = h.onSpectatorsChanged || onSpectatorsChanged;
         }
 
         function status(s) { onStatus(s); }
 
+        function closeLink(link) {
+            if (!link) return;
+            try { link.dc?.close(); } catch { }
+            try { link.pc?.close(); } catch { }
+        }
+
+        function resetSpectators() {
+            closeLink(pendingSpectator);
+            pendingSpectator = null;
+            for (const link of spectators.values()) closeLink(link);
+            const had = spectators.size;
+            spectators.clear();
+            if (had) onSpectatorsChanged(0);
+        }
+
         function reset() {
+            resetSpectators();
+            if (inputDc) {
+                try { inputDc.close(); } catch { }
+                inputDc = null;
+            }
             if (dc) {
                 try { dc.close(); } catch { }
                 dc = null;
@@ -481,7 +596,7 @@ Now output the JSON.`.trim();
         }
 
         function createPeer() {
-            pc = new RTCPeerConnection(ICE_CONFIG);
+            pc = new RTCPeerConnection(iceConfig());
 
             pc.oniceconnectionstatechange = () => {
                 status(`ice:${pc.iceConnectionState}`);
@@ -495,6 +610,11 @@ Now output the JSON.`.trim();
             };
 
             pc.ondatachannel = (ev) => {
+                if (ev.channel.label === INPUT_CHANNEL) {
+                    inputDc = ev.channel;
+                    hookInputChannel();
+                    return;
+                }
                 dc = ev.channel;
                 hookDataChannel();
             };
@@ -509,6 +629,10 @@ Now output the JSON.`.trim();
             dc.onerror = () => { status("datachannel:error"); };
 
             dc.onmessage = (ev) => {
+                if (ev.data instanceof ArrayBuffer) {
+                    onPacket(ev.data);
+                    return;
+                }
                 try {
                     const msg = JSON.parse(ev.data);
                     onMessage(msg);
@@ -518,12 +642,74 @@ Now output the JSON.`.trim();
             };
         }
 
+        function hookInputChannel() {
+            // Binary input packets only. They may arrive out of order or not at all;
+            // the redundant input windows in protocol.mjs cover both.
+            if (!inputDc) return;
+            inputDc.binaryType = "arraybuffer";
+            inputDc.onopen = () => { status("inputs:open (unordered)"); };
+            inputDc.onclose = () => { status("inputs:closed"); };
+            inputDc.onmessage = (ev) => {
+                if (ev.data instanceof ArrayBuffer) onPacket(ev.data);
+            };
+        }
+
         function send(msg) {
             if (!dc || dc.readyState !== "open") return false;
             dc.send(JSON.stringify(msg));
             return true;
         }
 
+        function sendPacket(buf) {
+            // Prefer the unordered input channel; fall back to the reliable one.
+            const ch = inputDc?.readyState === "open" ? inputDc : dc;
+            if (!ch || ch.readyState !== "open") return false;
+            ch.send(buf);
+            return true;
+        }
+
+        function sendToSpectator(id, msg) {
+            const link = spectators.get(id);
+            if (!link || link.dc.readyState !== "open") return false;
+            link.dc.send(JSON.stringify(msg));
+            return true;
+        }
+
+        function sendSpectators(msg) {
+            if (!spectators.size) return;
+            const text = JSON.stringify(msg);
+            for (const link of spectators.values()) {
+                if (link.dc.readyState === "open") link.dc.send(text);
+            }
+        }
+
+        function hookSpectatorChannel(link) {
+            link.dc.onopen = () => {
+                spectators.set(link.id, link);
+                if (pendingSpectator === link) pendingSpectator = null;
+                onSpectatorsChanged(spectators.size);
+                onSpectatorOpen(link.id);
+            };
+            link.dc.onclose = () => {
+                if (spectators.delete(link.id)) onSpectatorsChanged(spectators.size);
+                try { link.pc.close(); } catch { }
+            };
+            // Spectators are read-only; whatever they send (their hello) is ignored.
+            link.dc.onmessage = () => { };
+        }
+
+        // Short codes are built in signal.mjs; old v:1 JSON codes are still accepted.
+        function localDescriptionCode(peer) {
+            return Signal.encodeDescription({
+                type: peer.localDescription.type,
+                sdp: peer.localDescription.sdp
+            });
+        }
+
+        function parseDescriptionCode(code, type, what) {
+            return Signal.decodeDescription(code, type, what);
+        }
+
         function waitIceGatheringComplete(peer) {
             return new Promise((resolve) => {
                 if (peer.iceGatheringState === "complete") return resolve();
@@ -537,7 +723,7 @@ Now output the JSON.`.trim();
             });
         }
 
-        async function createOfferCode() {
+        async function createOfferCode({ inputTransport = "reliable" } = {}) {
             reset();
             isHost = true;
             createPeer();
@@ -545,16 +731,18 @@ Now output the JSON.`.trim();
             dc = pc.createDataChannel("cgf", { ordered: true });
             hookDataChannel();
 
+            // Control messages (hello, start, ...) always stay on the reliable channel.
+            if (inputTransport === "unreliable") {
+                inputDc = pc.createDataChannel(INPUT_CHANNEL, { ordered: false, maxRetransmits: 0 });
+                hookInputChannel();
+            }
+
             status("creating offer...");
             const offer = await pc.createOffer();
             await pc.setLocalDescription(offer);
             await waitIceGatheringComplete(pc);
 
-            const code = JSON.stringify({
-                v: 1,
-                type: pc.localDescription.type,
-                sdp: pc.localDescription.sdp
-            });
+            const code = await localDescriptionCode(pc);
 
             status("offer ready");
             return code;
@@ -565,26 +753,17 @@ Now output the JSON.`.trim();
             isHost = false;
             createPeer();
 
-            const parsed = safeJsonParse(offerCode);
-            if (!parsed.ok) throw new Error("Offer code is not valid JSON.");
-            const offer = parsed.value;
-            if (offer?.v !== 1 || offer?.type !== "offer" || typeof offer?.sdp !== "string") {
-                throw new Error("Offer code has invalid shape.");
-            }
+            const offerSdp = await parseDescriptionCode(offerCode, "offer", "Offer");
 
             status("setting remote offer...");
-            await pc.setRemoteDescription({ type: "offer", sdp: offer.sdp });
+            await pc.setRemoteDescription({ type: "offer", sdp: offerSdp });
 
             status("creating answer...");
             const answer = await pc.createAnswer();
             await pc.setLocalDescription(answer);
             await waitIceGatheringComplete(pc);
 
-            const code = JSON.stringify({
-                v: 1,
-                type: pc.localDescription.type,
-                sdp: pc.localDescription.sdp
-            });
+            const code = await localDescriptionCode(pc);
 
             status("answer ready");
             return code;
@@ -592,25 +771,49 @@ Now output the JSON.`.trim();
 
         async function acceptAnswerCode(answerCode) {
             if (!pc) throw new Error("No host peer exists. Create an Offer first.");
-            const parsed = safeJsonParse(answerCode);
-            if (!parsed.ok) throw new Error("Answer code is not valid JSON.");
-            const ans = parsed.value;
-            if (ans?.v !== 1 || ans?.type !== "answer" || typeof ans?.sdp !== "string") {
-                throw new Error("Answer code has invalid shape.");
-            }
+            const answerSdp = await parseDescriptionCode(answerCode, "answer", "Answer");
 
             status("accepting answer...");
-            await pc.setRemoteDescription({ type: "answer", sdp: ans.sdp });
+            await pc.setRemoteDescription({ type: "answer", sdp: answerSdp });
             status("connected (waiting datachannel)...");
         }
 
+        async function createSpectatorOfferCode() {
+            if (!isHost || !pc) throw new Error("Only a Host can invite spectators. Create an Offer first.");
+
+            closeLink(pendingSpectator);
+            const link = { id: nextSpectatorId++, pc: new RTCPeerConnection(iceConfig()), dc: null };
+            pendingSpectator = link;
+
+            link.dc = link.pc.createDataChannel("cgf", { ordered: true });
+            hookSpectatorChannel(link);
+
+            const offer = await link.pc.createOffer();
+            await link.pc.setLocalDescription(offer);
+            await waitIceGatheringComplete(link.pc);
+
+            return await localDescriptionCode(link.pc);
+        }
+
+        async function acceptSpectatorAnswerCode(answerCode) {
+            if (!pendingSpectator) throw new Error("Create a Spectator Offer first.");
+            const answerSdp = await parseDescriptionCode(answerCode, "answer", "Answer");
+            await pendingSpectator.pc.setRemoteDescription({ type: "answer", sdp: answerSdp });
+        }
+
         return {
             setHandlers,
             reset,
             send,
+            sendPacket,
+            sendToSpectator,
+            sendSpectators,
             createOfferCode,
             createAnswerCode,
             acceptAnswerCode,
+            createSpectatorOfferCode,
+            acceptSpectatorAnswerCode,
+            spectatorCount: () => spectators.size,
             isHost: () => isHost,
             ready: () => dc && dc.readyState === "open"
         };
@@ -619,44 +822,53 @@ Now output the JSON.`.trim();
     // -----------------------------
     // Deterministic Lockstep Fighter
     // -----------------------------
+    // Simulation lives in sim.mjs; this drives it over the network and draws it.
     const Game = (() => {
-        // Fixed-point scaling
-        const FP = 100; // 1 px = 100 units
-        const ARENA_W = 1120;
-        const ARENA_H = 520;
-        const GROUND_Y = 420;
-
-        const FIX_W = ARENA_W * FP;
-        const FIX_GROUND = GROUND_Y * FP;
+        const { FP, ARENA_W, ARENA_H, GROUND_Y, FPS, IN } = Sim;
 
         // Frame rate
-        const FPS = 60;
         const FRAME_MS = 1000 / FPS;
 
-        // Input bitmask
-        const IN = {
-            L: 1 << 0,
-            R: 1 << 1,
-            J: 1 << 2,
-            P: 1 << 3,
-            K: 1 << 4,
-            S: 1 << 5, // special
-            B: 1 << 6  // block
-        };
+        // Countdown, in frames so both peers agree: READY until FIGHT_FRAME,
+        // inputs count from FIGHT_FRAME on, the FIGHT banner clears at COUNTDOWN_END.
+        const FIGHT_FRAME = 90;
+        const COUNTDOWN_END = 150;
 
         // State
         let running = false;
         let lastTime = 0;
         let acc = 0;
 
-        let seed = 1;
-        let frame = 0;
+        let sim = null; // see sim.mjs createState()
+        let seedAtStart = 1;
 
+        let mode = "net"; // "net" | "replay" | "spectate" | "local" | "training"
         let localPlayerIndex = 0; // 0 or 1
         let inputDelay = settings.inputDelayFrames;
+        let netcode = "lockstep"; // "lockstep" | "rollback"
+        let cpu = null; // local mode: CPU controller for P2 (see ai.mjs)
+
+        // training mode: P2 is a dummy driven by `dummy`
+        const TRAINING_RECORD_MAX = 10 * FPS; // longest recorded dummy sequence
+        const training = {
+            dummy: "stand", // "stand" | "block" | "jump" | "record" | "playback"
+            infiniteHp: true,
+            infiniteMeter: false,
+            recording: [],  // P2 masks captured in "record"
+            playPos: 0,
+            saved: null     // savestate: { sim, playPos }
+        };
 
         const localKeyState = new Set();
 
+        // Button -> key code. Netplay uses `solo`; local versus splits the keyboard.
+        const KEY_LAYOUTS = {
+            solo: { L: "KeyA", R: "KeyD", J: "KeyW", B: "KeyS", P: "KeyJ", K: "KeyK", S: "KeyL" },
+            left: { L: "KeyA", R: "KeyD", J: "KeyW", B: "KeyS", P: "KeyF", K: "KeyG", S: "KeyH" },
+            right: { L: "ArrowLeft", R: "ArrowRight", J: "ArrowUp", B: "ArrowDown", P: "Comma", K: "Period", S: "Slash" }
+        };
+        const GAME_KEYS = new Set(Object.values(KEY_LAYOUTS).flatMap(l => Object.values(l)));
+
         // input buffers
         const localInputs = new Map();  // frame -> mask
         const remoteInputs = new Map(); // frame -> mask
@@ -665,731 +877,578 @@ Now output the JSON.`.trim();
         let stalled = false;
         let stallFrames = 0;
 
+        // connection lost mid-match: state is kept until the peers reconnect and resume
+        let suspended = false;
+
+        // input transport: unacked local inputs are resent in every packet
+        let peerAck = -1; // highest local frame the peer has received contiguously
+        let lastLocalFrame = -1; // highest frame with a scheduled local input
+        let pendingDelay = null; // { f, d }: switch input delay once frame f is reached
+        let pingText = "";
+
+        // rollback info
+        const MAX_ROLLBACK_FRAMES = 8;
+        const snapshots = new Map();      // frame -> sim state before that frame ran
+        const predictedRemote = new Map(); // frame -> remote mask we guessed
+        let lastRemoteFrame = -1;          // highest frame with all remote inputs up to it
+        let rollbackFrom = -1;             // earliest mispredicted frame, -1 if none
+        let resimulating = false;
+
+        // desync detection
+        const CHECKSUM_INTERVAL = 60;     // frames between state hashes
+        const CHECKSUM_KEEP = 20;         // recent dumps kept for a desync report
+        const localChecksums = new Map();  // frame -> { h, state }
+        const remoteChecksums = new Map(); // frame -> h
+        let nextChecksumFrame = CHECKSUM_INTERVAL;
+        let desync = null;                 // { frame, localHash, remoteHash, localState, remoteState }
+
         // canvas
         let canvas, ctx;
 
-        // match objects
-        let fighters = [];
-        let projectiles = [];
-        let particles = [];
-        let hitstop = 0;
-        let shake = 0;
-        let winner = null;
+        let resultShown = false;
+        let replaySaved = false;
+        let forfeitWinner = null; // set when the match ended by forfeit instead of a KO
+
+        // replay playback
+        const REPLAY_KEYFRAME_INTERVAL = 300; // frames between seek points
+        const replayKeyframes = new Map();    // frame -> sim state
+        let replay = null;                    // parsed replay (see replay.mjs)
+        let paused = false;
+        let speed = 1;
+
+        // spectators: the host forwards confirmed inputs, spectators play them back
+        let specSentFrame = 0;               // host: next confirmed frame to forward
+        const spectateInputs = new Map();    // spectator: frame -> [maskP1, maskP2]
+
+        // app hooks: a netplay or local match ended on a KO or draw; how long
+        // we've been stuck waiting for the other side (0 while the sim advances)
+        let onResult = ({ winner, localIndex }) => { };
+        let onLocalResult = ({ winner, names }) => { };
+        let onStall = (seconds) => { };
+
+        function setHandlers(h) {
+            onResult = h.onResult || onResult;
+            onLocalResult = h.onLocalResult || onLocalResult;
+            onStall = h.onStall || onStall;
+        }
 
         // Character load
         let p1 = null, p2 = null;
         let p1User = "P1", p2User = "P2";
 
-        function xorshift32(x) {
-            x |= 0;
-            x ^= x << 13; x |= 0;
-            x ^= x >>> 17; x |= 0;
-            x ^= x << 5; x |= 0;
-            return x | 0;
-        }
-        function rand01() {
-            seed = xorshift32(seed);
-            // unsigned -> [0,1)
-            return ((seed >>> 0) / 4294967296);
-        }
-
-        function resetMatch({ seedIn, localIndex, p1Char, p2Char, p1Name, p2Name }) {
-            seed = seedIn | 0;
-            frame = 0;
-            winner = null;
+        function resetMatch({
+            seedIn, localIndex, p1Char, p2Char, p1Name, p2Name,
+            netcodeIn = "lockstep", modeIn = "net", delayIn = settings.inputDelayFrames, cpuLevel = null, rulesIn = null
+        }) {
+            mode = modeIn;
+            seedAtStart = seedIn | 0;
+            resultShown = false;
+            replaySaved = false;
+            forfeitWinner = null;
+            paused = false;
+            speed = 1;
 
             localPlayerIndex = localIndex;
-            inputDelay = settings.inputDelayFrames;
+            inputDelay = Math.max(Latency.MIN_DELAY_FRAMES, Math.min(Latency.MAX_DELAY_FRAMES, delayIn | 0));
+            pendingDelay = null;
+            netcode = netcodeIn === "rollback" ? "rollback" : "lockstep";
 
             localInputs.clear();
             remoteInputs.clear();
-
-            for (let f = 0; f < inputDelay; f++) {
-                localInputs.set(f, 0);
-                Net.send({ t: "in", f, m: 0 });
+            snapshots.clear();
+            predictedRemote.clear();
+            lastRemoteFrame = -1;
+            rollbackFrom = -1;
+            resimulating = false;
+
+            localChecksums.clear();
+            remoteChecksums.clear();
+            nextChecksumFrame = CHECKSUM_INTERVAL;
+            desync = null;
+
+            specSentFrame = 0;
+            spectateInputs.clear();
+            suspended = false;
+
+            peerAck = -1;
+            lastLocalFrame = -1;
+            if (mode === "net") {
+                // Sent with the first input packet.
+                for (let f = 0; f < inputDelay; f++) localInputs.set(f, 0);
+                lastLocalFrame = inputDelay - 1;
             }
 
             stalled = false;
             stallFrames = 0;
+            onStall(0);
 
             p1 = p1Char;
             p2 = p2Char;
             p1User = p1Name;
             p2User = p2Name;
 
-            const d1 = derivedStats(p1.stats);
-            const d2 = derivedStats(p2.stats);
-
-            fighters = [
-                makeFighter(0, 240 * FP, FIX_GROUND, p1, d1),
-                makeFighter(1, 880 * FP, FIX_GROUND, p2, d2)
-            ];
-
-            // Facing
-            fighters[0].facing = 1;
-            fighters[1].facing = -1;
-
-            projectiles = [];
-            particles = [];
-            hitstop = 0;
-            shake = 0;
+            // Rounds open with the countdown; replays carry their own rules, training has none.
+            const rules = mode === "replay" || mode === "training" ? rulesIn : { ...rulesIn, introFrames: FIGHT_FRAME };
+            sim = Sim.createState({ seed: seedAtStart, p1Char: p1, p2Char: p2, rules });
+            // The CPU draws from its own stream so it never touches the sim's RNG.
+            cpu = mode === "local" && cpuLevel ? AI.createCpu({ player: 1, level: cpuLevel, seed: Sim.xorshift32(seedAtStart) }) : null;
 
             UI.setHUDNames(p1User, p2User, p1.name, p2.name);
+            UI.setMatchMode(mode, { splitKeys: mode === "local" && !cpu });
+            if (mode === "replay") return;
             UI.setRoundText("READY");
-            setTimeout(() => UI.setRoundText("FIGHT"), 500);
-            setTimeout(() => UI.setRoundText(""), 1400);
         }
 
-        function makeFighter(i, x, y, char, d) {
-            const viz = deriveVisuals(char);
-
-            // Base sizes
-            const baseW = 42 * FP;
-            const baseH = 106 * FP;
-
-            let w = baseW;
-            let h = baseH;
-
-            if (viz.silhouette === "bulky") {
-                w += 10 * FP; h += 12 * FP;
-            } else if (viz.silhouette === "nimble") {
-                w -= 6 * FP; h -= 4 * FP;
+        function roundText() {
+            // Every round opens with the same countdown, counted from its first frame.
+            if (sim.roundEnd) {
+                const { winner, reason } = sim.roundEnd;
+                const who = winner == null ? "DRAW" : `P${winner + 1} TAKES THE ROUND`;
+                return reason === "time" ? `TIME · ${who}` : who;
             }
-
-            // Slight stat influence (subtle, still readable)
-            w += (char.stats.health - 5) * 2 * FP + (char.stats.defense - 5) * 1 * FP;
-            w -= (char.stats.speed - 5) * 1 * FP;
-            h += (char.stats.health - 5) * 2 * FP;
-            h -= (char.stats.jump - 5) * 1 * FP;
-
-            w = clamp(w, 34 * FP, 62 * FP);
-            h = clamp(h, 90 * FP, 140 * FP);
-            return {
-                idx: i,
-                char,
-                d,
-
-                x, y,
-                vx: 0,
-                vy: 0,
-
-                w,
-                h,
-                viz,
-
-                coyote: 0,
-                jumpBuf: 0,
-
-                onGround: true,
-                facing: i === 0 ? 1 : -1,
-
-                hp: d.maxHP,
-                meter: 0,
-
-                state: "idle", // idle, run, jump, punch, kick, special, hurt, ko, block
-                stateFrame: 0,
-
-                stun: 0,
-                cooldown: 0,
-                specialCD: 0,
-
-                lastHitFrame: -9999
-            };
+            const t = sim.frame - sim.roundStartFrame;
+            if (t < FIGHT_FRAME) return sim.rules.roundsToWin > 1 ? `ROUND ${sim.round}` : "READY";
+            return t < COUNTDOWN_END ? "FIGHT" : "";
         }
 
-        function getHurtbox(f) {
-            // Smaller than the drawn body so hits feel fair.
-            // Also changes slightly by state (jump/hurt/ko).
-            const w = f.w;
-            const h = f.h;
-
-            // Base padding (in fixed-point)
-            let padX = Math.floor(w * 18 / 100);     // 18% narrower
-            let padTop = 14 * FP;                   // head padding
-            let padBottom = 10 * FP;                // feet padding
-
-            if (f.state === "jump") {
-                padX = Math.floor(w * 22 / 100);
-                padBottom = 14 * FP;
-            }
-            if (f.state === "hurt") {
-                padX = Math.floor(w * 24 / 100);
-            }
-            if (f.state === "ko") {
-                padX = Math.floor(w * 28 / 100);
-                padTop = 18 * FP;
+        function stepSim(masks) {
+            Sim.step(sim, masks);
+            // Resimulated frames already played their sounds once.
+            if (resimulating) return;
+            for (const ev of sim.events) {
+                if (ev.type === "sfx") Audio.sfx[ev.name]();
+                // The last round's KO sounds when the match ends (checkMatchEnd).
+                else if (ev.type === "round" && sim.koFrame < 0) Audio.sfx.ko();
             }
-
-            const left = (f.x - w / 2) + padX;
-            const top = (f.y - h) + padTop;
-            const rw = w - padX * 2;
-            const rh = h - padTop - padBottom;
-
-            return { x: left, y: top, w: rw, h: rh };
         }
 
-        function getHitbox(f) {
-            // Returns a hitbox that starts at the fighter front edge.
-            // The collision code later converts this into a world rect based on facing.
-            const dir = f.facing;
-
-            // Range and height tuned to feel better with the new hurtbox.
-            const range = (f.d.range * FP);
-            const frontX = f.x + dir * (f.w / 2 + 4 * FP);
-
-            // Different vertical targets for different moves / states
-            const midY = f.y - 72 * FP;
-            const highY = f.y - 92 * FP;
-            const lowY = f.y - 52 * FP;
-
-            // Punch: quick, mid/high
-            if (f.state === "punch" && f.stateFrame >= 4 && f.stateFrame <= 6) {
-                const y = (f.onGround ? midY : highY);
-                return {
-                    x: frontX,
-                    y,
-                    w: Math.floor(range * 0.90),
-                    h: 20 * FP,
-                    dmg: 24,
-                    type: "punch"
-                };
+        function recordChecksums() {
+            // A frame boundary is checkable once every input before it is confirmed.
+            while (
+                nextChecksumFrame <= sim.frame &&
+                nextChecksumFrame - 1 <= lastRemoteFrame &&
+                (rollbackFrom < 0 || nextChecksumFrame <= rollbackFrom)
+            ) {
+                const f = nextChecksumFrame;
+                nextChecksumFrame += CHECKSUM_INTERVAL;
+
+                const snap = f === sim.frame ? sim : snapshots.get(f);
+                if (!snap) continue;
+
+                const state = JSON.parse(JSON.stringify(Sim.checksumState(snap)));
+                const h = Sim.hashState(snap);
+                localChecksums.set(f, { h, state });
+                localChecksums.delete(f - CHECKSUM_INTERVAL * CHECKSUM_KEEP);
+                Net.send({ t: "sum", f, h });
+
+                compareChecksum(f);
             }
-
-            // Kick: slower, wider + slightly lower
-            if (f.state === "kick" && f.stateFrame >= 6 && f.stateFrame <= 9) {
-                return {
-                    x: frontX,
-                    y: lowY,
-                    w: range + 10 * FP,
-                    h: 26 * FP,
-                    dmg: 32,
-                    type: "kick"
-                };
+            // The peer's hashes for frames we skipped or will never reach.
+            for (const f of remoteChecksums.keys()) {
+                if (f < nextChecksumFrame - CHECKSUM_INTERVAL * CHECKSUM_KEEP) remoteChecksums.delete(f);
             }
-
-            return null;
-        }
-
-        function aabb(a, b) {
-            return (
-                a.x < b.x + b.w &&
-                a.x + a.w > b.x &&
-                a.y < b.y + b.h &&
-                a.y + a.h > b.y
-            );
         }
 
-        function hurtboxRect(f) {
-            const hb = getHurtbox(f);
-            return hb;
+        function compareChecksum(f) {
+            const local = localChecksums.get(f);
+            if (!local || !remoteChecksums.has(f)) return;
+            const remoteHash = remoteChecksums.get(f);
+            remoteChecksums.delete(f);
+            if (local.h !== remoteHash) declareDesync(f, remoteHash, null);
         }
 
-        function applyDamage(attacker, defender, baseDmg, kind) {
-            const atk = attacker.d.atk;
-            const def = defender.d.def;
+        function declareDesync(f, remoteHash, remoteState) {
+            if (desync || resultShown) return;
 
-            const atkMul = 100 + 3 * (atk - 14);
-            const defMul = 100 + 2 * (def - 14);
+            const local = localChecksums.get(f);
+            desync = {
+                frame: f,
+                localHash: local ? local.h : null,
+                remoteHash,
+                localState: local ? local.state : null,
+                remoteState
+            };
+            resultShown = true;
+            stop();
+            recordReplay();
+            endSpectatorStream();
+
+            // Hand the peer our side so both players can download the full report.
+            Net.send({ t: "desync", f, h: desync.localHash, state: desync.localState });
+
+            UI.setRoundText("DESYNC");
+            UI.setSyncText("");
+            UI.showResult({
+                title: "Desync",
+                sub: `Desync at frame ${f}: the two simulations diverged. The match was stopped.`,
+                desync: true
+            });
+        }
 
-            let dmg = Math.floor((baseDmg * atkMul) / defMul);
+        // Hashes and desync reports only count for a netplay match still under way;
+        // a late one must not end the next match or a replay.
+        function pushRemoteChecksum(f, h) {
+            if (desync || mode !== "net" || !running || resultShown) return;
+            remoteChecksums.set(f, h | 0);
+            compareChecksum(f);
+        }
 
-            const isBlocking = defender.state === "block";
-            if (isBlocking) {
-                const mult = (kind === "projectile") ? 0.25 : 0.35;
-                dmg = Math.floor(dmg * mult);
+        function pushRemoteDesync(f, h, state) {
+            if (desync) {
+                // Our own report went first; keep theirs for the dump.
+                if (desync.frame === f) {
+                    desync.remoteHash = h;
+                    desync.remoteState = state;
+                }
+                return;
             }
-            dmg = clamp(dmg, 1, 120);
-
-            defender.hp = Math.max(0, defender.hp - dmg);
+            if (mode !== "net" || !running || resultShown) return;
+            declareDesync(f, h, state);
+        }
 
-            // meter gain
-            const gain = attacker.d.meterGain;
-            attacker.meter = clamp(attacker.meter + gain, 0, 100);
-            defender.meter = clamp(defender.meter + Math.floor(gain / 3), 0, 100);
+        function getDesyncDump() {
+            if (!desync) return null;
+            const inputsUpTo = (map) => {
+                const out = [];
+                for (let f = 0; f < desync.frame; f++) out.push(map.get(f) | 0);
+                return out;
+            };
+            return {
+                kind: "cgf-desync",
+                frame: desync.frame,
+                seed: seedAtStart,
+                netcode,
+                localPlayerIndex,
+                players: [
+                    { user: p1User, char: p1 },
+                    { user: p2User, char: p2 }
+                ],
+                local: { hash: desync.localHash, state: desync.localState, inputs: inputsUpTo(localInputs) },
+                remote: { hash: desync.remoteHash, state: desync.remoteState, inputs: inputsUpTo(remoteInputs) }
+            };
+        }
 
-            // stun + state
-            if (!isBlocking) {
-                const stunFrames =
-                    (kind === "kick") ? 14 :
-                        (kind === "projectile") ? 12 :
-                            10;
+        function confirmedPair(f) {
+            // [maskP1, maskP2] for a confirmed frame
+            const li = localInputs.get(f) | 0;
+            const ri = remoteInputs.get(f) | 0;
+            return localPlayerIndex === 0 ? [li, ri] : [ri, li];
+        }
 
-                defender.stun = Math.max(defender.stun, stunFrames);
-                defender.state = "hurt";
-                defender.stateFrame = 0;
-            } else {
-                defender.state = "block";
-                defender.stateFrame = 0;
+        function confirmedMasks(count) {
+            // [p1Masks, p2Masks] for frames 0..count-1
+            const p1Masks = [];
+            const p2Masks = [];
+            for (let f = 0; f < count; f++) {
+                const [a, b] = confirmedPair(f);
+                p1Masks.push(a);
+                p2Masks.push(b);
             }
+            return [p1Masks, p2Masks];
+        }
 
-            // Knockback (improves readability and reduces overlap)
-            const dir = attacker.facing; // -1 or 1
-
-            // Knockback speed in px/sec-ish terms mapped to per-frame FP velocity
-            let kb =
-                (kind === "kick") ? 540 :
-                    (kind === "punch") ? 440 :
-                        480;
-
-            kb += (attacker.d.atk - 14) * 16; // scale with attack
-
-            if (isBlocking) kb = Math.floor(kb * 0.35);
-
-            const kbV = Math.floor((kb * FP) / 60); // convert to FP per frame
-            defender.vx = dir * kbV;
-
-            // Small pop-up only when not blocking and on ground
-            if (!isBlocking && defender.onGround) {
-                defender.vy = Math.min(defender.vy, -(520)); // ~5.2 px/frame upward
-                defender.onGround = false;
-            }
+        function spectatorBatch(from, to) {
+            const pairs = [];
+            for (let f = from; f <= to; f++) pairs.push(confirmedPair(f));
+            return { t: "spec-in", f: from, m: pairs };
+        }
 
-            // hitstop / shake / particles
-            hitstop = Math.max(hitstop, isBlocking ? 2 : 4);
-            shake = Math.max(shake, isBlocking ? 3 : 6);
+        function forwardToSpectators(flush = false) {
+            // Host only. Spectators trail the confirmed frame by the configured delay.
+            if (mode !== "net" || !Net.isHost() || !Net.spectatorCount()) return;
+            const delay = flush ? 0 : Math.round(settings.spectatorDelaySec * FPS);
+            const upTo = lastConfirmedFrame() - delay;
+            if (upTo < specSentFrame) return;
+            Net.sendSpectators(spectatorBatch(specSentFrame, upTo));
+            specSentFrame = upTo + 1;
+        }
 
-            for (let i = 0; i < (isBlocking ? 4 : 7); i++) {
-                particles.push(makeParticle(defender.x, defender.y - 70 * FP, attacker.char.palette.secondary));
+        function sendSpectatorBacklog(id) {
+            // A spectator who joins mid-match catches up on everything forwarded so far.
+            if (mode !== "net") return;
+            for (let f = 0; f < specSentFrame; f += 600) {
+                Net.sendToSpectator(id, spectatorBatch(f, Math.min(specSentFrame, f + 600) - 1));
             }
-
-            Audio.sfx.hit();
         }
 
-        function makeParticle(x, y, color) {
-            // small deterministic particle using seeded rand
-            const ang = Math.floor(rand01() * 628) / 100; // 0..6.28
-            const sp = 180 + Math.floor(rand01() * 240);
-            return {
-                x, y,
-                vx: Math.floor(Math.cos(ang) * sp) * FP / 100,
-                vy: Math.floor(Math.sin(ang) * sp) * FP / 100,
-                life: 18 + Math.floor(rand01() * 14),
-                color
-            };
+        function endSpectatorStream() {
+            if (mode !== "net" || !Net.isHost()) return;
+            forwardToSpectators(true);
+            Net.sendSpectators({ t: "spec-end" });
         }
 
-        function spawnProjectile(owner) {
-            // Meter cost. If insufficient, do nothing.
-            if (owner.meter < 35) return false;
-            owner.meter -= 35;
-
-            const dir = owner.facing;
-            const spd = owner.char.moves.projectileSpeed; // 6..16
-            const size = owner.char.moves.projectileSize; // 8..18
-            const dmg = 18 + owner.d.projBonus; // modest
-
-            const w = size * FP;
-            const h = size * FP;
-
-            const px = owner.x + dir * (owner.w / 2 + 18 * FP);
-            const py = owner.y - 80 * FP;
-
-            projectiles.push({
-                ownerIdx: owner.idx,
-                x: px,
-                y: py,
-                vx: dir * (spd * 36) * FP / 10,
-                w,
-                h,
-                dmg,
-                life: 70 + owner.char.stats.range * 6, // range affects travel time
-                shape: owner.viz?.projShape || "orb",
-                color: owner.char.palette.secondary
+        function recordReplay() {
+            // Every netplay, local and CPU match is saved, finished or not, up to its last confirmed frame.
+            if ((mode !== "net" && mode !== "local") || replaySaved || !sim) return;
+            replaySaved = true;
+
+            const frames = lastConfirmedFrame() + 1;
+            if (frames <= 0) return;
+
+            const [p1Masks, p2Masks] = confirmedMasks(frames);
+            const r = ReplayCodec.buildReplay({
+                app: window.CFG?.version,
+                seed: seedAtStart,
+                netcode,
+                rules: sim.rules,
+                players: [{ user: p1User, char: p1 }, { user: p2User, char: p2 }],
+                p1Masks,
+                p2Masks,
+                winner: sim.koFrame >= 0 && sim.koFrame < frames ? sim.winner : null,
+                forfeit: forfeitWinner
             });
-
-            Audio.sfx.special();
-            return true;
+            Replays.save(r).catch(() => { /* a failed write must not break the match flow */ });
         }
 
-        function getProjectileRect(p) {
-            // Slightly smaller than drawn so it feels fair
-            const w = Math.floor(p.w * 85 / 100);
-            const h = Math.floor(p.h * 85 / 100);
-            return { x: p.x - w / 2, y: p.y - h / 2, w, h };
+        function checkMatchEnd() {
+            // Under rollback a KO can sit on a predicted frame; wait until the
+            // inputs that produced it are confirmed before ending the match.
+            if (mode === "replay") return;
+            if (resultShown || sim.koFrame < 0 || sim.koFrame > lastConfirmedFrame()) return;
+            resultShown = true;
+            recordReplay();
+            endSpectatorStream();
+
+            const winner = sim.winner;
+            UI.setRoundText(winner == null ? "DRAW" : (winner === 0 ? "P1 WINS" : "P2 WINS"));
+            UI.setSyncText("");
+            Audio.sfx.ko();
+            setTimeout(() => {
+                stop();
+                if (mode === "spectate") {
+                    UI.showResult({
+                        title: winner == null ? "Draw" : `${winner === 0 ? p1User : p2User} wins`,
+                        sub: "Spectated match. Stay connected to watch the next one."
+                    });
+                    return;
+                }
+                if (mode === "local") {
+                    onLocalResult({ winner, names: [p1User, p2User] });
+                    return;
+                }
+                onResult({ winner, localIndex: localPlayerIndex, roundsWon: [...sim.roundsWon] });
+            }, 900);
         }
-
-        function updateFacing() {
-            const a = fighters[0], b = fighters[1];
-            if (a.x < b.x) { a.facing = 1; b.facing = -1; }
-            else { a.facing = -1; b.facing = 1; }
+        function forfeit(winner) {
+            // End a stalled (or disconnected) match without a KO; `winner` is awarded the match.
+            if (mode !== "net" || resultShown || !sim) return false;
+            resultShown = true;
+            suspended = false;
+            forfeitWinner = winner;
+            recordReplay();
+            endSpectatorStream();
+            stop();
+            UI.setSyncText("");
+            UI.setRoundText(winner === 0 ? "P1 WINS" : "P2 WINS");
+            return true;
         }
 
-        function stepLogic(inputMasks) {
-            // inputMasks: [maskP1, maskP2]
-            if (winner) return;
-
-            if (hitstop > 0) {
-                hitstop--;
-                return; // hitstop freezes simulation
+        function buildLocalInputMask(layout = KEY_LAYOUTS.solo) {
+            let m = 0;
+            for (const [button, code] of Object.entries(layout)) {
+                if (localKeyState.has(code)) m |= IN[button];
             }
+            return m | 0;
+        }
 
-            // Update fighters
-            for (let i = 0; i < 2; i++) {
-                const f = fighters[i];
-                const opp = fighters[1 - i];
-                const m = inputMasks[i] | 0;
-
-                // KO transition
-                if (f.hp <= 0 && f.state !== "ko") {
-                    f.state = "ko";
-                    f.stateFrame = 0;
-                    f.stun = 0;
-                    f.vx = 0;
-                }
-
-                // Cooldowns / stun
-                if (f.cooldown > 0) f.cooldown--;
-                if (f.specialCD > 0) f.specialCD--;
-                if (f.stun > 0) f.stun--;
-
-                // Jump feel helpers: coyote + buffer
-                if (f.onGround) f.coyote = 6;
-                else f.coyote = Math.max(0, f.coyote - 1);
+        function lockstepCanAdvance(f) {
+            return localInputs.has(f) && remoteInputs.has(f);
+        }
 
-                f.jumpBuf = Math.max(0, f.jumpBuf - 1);
-                if (m & IN.J) f.jumpBuf = 6;
+        function getInputsForFrame(f) {
+            const li = localInputs.get(f) | 0;
+            const ri = remoteInputs.get(f) | 0;
 
-                const canAct = (f.state !== "ko" && f.stun === 0);
+            // Map to [p1Mask,p2Mask] based on local player index
+            if (localPlayerIndex === 0) return [li, ri];
+            return [ri, li];
+        }
 
-                // Determine current state flags FIRST (movement uses inAttack)
-                const inAttack = (f.state === "punch" || f.state === "kick" || f.state === "special");
-                const inHurt = (f.state === "hurt");
-                const inBlock = (f.state === "block");
+        function lastConfirmedFrame() {
+            // Highest frame simulated with real inputs from both sides.
+            if (mode !== "net") return sim.frame - 1;
+            let f = Math.min(lastRemoteFrame, sim.frame - 1);
+            if (rollbackFrom >= 0) f = Math.min(f, rollbackFrom - 1);
+            return f;
+        }
 
-                // Block (only on ground)
-                const wantsBlock = !!(m & IN.B) && f.onGround && canAct && !inHurt;
-                if (wantsBlock) {
-                    if (f.state !== "block") {
-                        f.state = "block";
-                        f.stateFrame = 0;
-                    }
-                } else if (f.state === "block") {
-                    f.state = "idle";
-                    f.stateFrame = 0;
-                }
+        function advanceLastRemoteFrame() {
+            while (remoteInputs.has(lastRemoteFrame + 1)) lastRemoteFrame++;
+        }
 
-                // Actions (only if not already attacking/hurt/block)
-                if (canAct && !inAttack && !inHurt && f.state !== "block") {
-                    // Jump (buffer + coyote)
-                    if (f.jumpBuf > 0 && f.coyote > 0) {
-                        f.vy = -(1100 + f.char.stats.jump * 110); // tuned for your integrateFighter gravity
-                        f.onGround = false;
-                        f.state = "jump";
-                        f.stateFrame = 0;
+        function predictRemoteInput(f) {
+            if (remoteInputs.has(f)) return remoteInputs.get(f) | 0;
+            // Repeat the most recent confirmed input; held buttons are the common case.
+            return lastRemoteFrame >= 0 ? (remoteInputs.get(lastRemoteFrame) | 0) : 0;
+        }
 
-                        // IMPORTANT: clear jump buffer once it triggers
-                        f.jumpBuf = 0;
-                        f.coyote = 0;
+        function simulateFrame() {
+            const f = sim.frame;
+            snapshots.set(f, Sim.cloneState(sim));
 
-                        Audio.sfx.jump();
-                    }
+            const li = localInputs.get(f) | 0;
+            const ri = predictRemoteInput(f);
+            if (remoteInputs.has(f)) predictedRemote.delete(f);
+            else predictedRemote.set(f, ri);
 
-                    // Attacks
-                    if ((m & IN.P) && f.cooldown === 0) {
-                        f.state = "punch";
-                        f.stateFrame = 0;
-                        f.cooldown = 10;
-                        Audio.sfx.punch();
-                    } else if ((m & IN.K) && f.cooldown === 0) {
-                        f.state = "kick";
-                        f.stateFrame = 0;
-                        f.cooldown = 14;
-                        Audio.sfx.kick();
-                    } else if ((m & IN.S) && f.specialCD === 0) {
-                        f.state = "special";
-                        f.stateFrame = 0;
-                        f.specialCD = 26;
-                    }
-                }
+            stepSim(localPlayerIndex === 0 ? [li, ri] : [ri, li]);
+        }
 
-                // Recompute inAttack after potential state change above
-                const inAttack2 = (f.state === "punch" || f.state === "kick" || f.state === "special");
+        function rollback() {
+            const snap = snapshots.get(rollbackFrom);
+            if (!snap) { rollbackFrom = -1; return; }
 
-                // Horizontal movement (after inAttack is defined)
-                const canMove = (f.state !== "ko" && f.state !== "hurt" && f.state !== "block" && !inAttack2);
-                if (canMove) {
-                    const left = !!(m & IN.L);
-                    const right = !!(m & IN.R);
+            const target = sim.frame;
+            sim = Sim.cloneState(snap);
+            rollbackFrom = -1;
 
-                    let dir = 0;
-                    if (left && !right) dir = -1;
-                    if (right && !left) dir = 1;
+            resimulating = true;
+            while (sim.frame < target) simulateFrame();
+            resimulating = false;
+        }
 
-                    const speedRating = f.d.run; // ~274..382
+        function pruneSnapshots() {
+            // Nothing at or before the last confirmed remote frame can be rolled back.
+            // Checkpoints not hashed yet stay until recordChecksums has used them.
+            for (const f of snapshots.keys()) {
+                if (f <= lastRemoteFrame && (f < nextChecksumFrame || f % CHECKSUM_INTERVAL !== 0)) snapshots.delete(f);
+            }
+        }
 
-                    const maxGround = Math.floor((520 + speedRating * 2) * FP / 60); // ~12..16 px/frame
-                    const maxAir = Math.floor(maxGround * 85 / 100);
+        function stall() {
+            // Nothing to request: every packet we send acks lastRemoteFrame,
+            // and the peer keeps resending everything after it.
+            stalled = true;
+            stallFrames++;
+        }
 
-                    const accelGround = Math.floor(maxGround * 28 / 100);
-                    const accelAir = Math.floor(maxAir * 18 / 100);
+        function scheduleDelayChange(f, d) {
+            pendingDelay = { f, d: Math.max(Latency.MIN_DELAY_FRAMES, Math.min(Latency.MAX_DELAY_FRAMES, d | 0)) };
+        }
 
-                    const maxV = f.onGround ? maxGround : maxAir;
-                    const accel = f.onGround ? accelGround : accelAir;
+        function applyPendingDelay() {
+            // Each side's delay only decides which frame its own inputs land on, so a
+            // change can't break determinism. A shorter delay just skips sampling
+            // until the clock catches up with inputs already scheduled.
+            if (!pendingDelay || sim.frame < pendingDelay.f) return;
+            inputDelay = pendingDelay.d;
+            pendingDelay = null;
+        }
 
-                    if (dir !== 0) {
-                        f.vx = clamp(f.vx + dir * accel, -maxV, maxV);
-                        if (f.onGround && f.state !== "jump") f.state = "run";
-                    } else {
-                        if (f.onGround && f.state === "run") f.state = "idle";
-                    }
-                }
+        function sendInputWindow() {
+            // Oldest unacked frame first; the peer can't use later frames without it.
+            const from = peerAck + 1;
+            const to = Math.min(lastLocalFrame, from + Protocol.INPUT_WINDOW - 1);
+            const masks = [];
+            for (let f = from; f <= to; f++) masks.push(localInputs.get(f) | 0);
+            Net.sendPacket(Protocol.encodeInputPacket({ match: seedAtStart, ack: lastRemoteFrame, from, masks }));
+        }
 
-                // Advance animation frame
-                f.stateFrame++;
+        function tickOneFrame() {
+            if (mode === "replay") {
+                tickReplay();
+                return;
+            }
+            if (mode === "spectate") {
+                tickSpectate();
+                checkMatchEnd();
+                return;
+            }
+            if (mode === "local") {
+                tickLocal();
+                checkMatchEnd();
+                return;
+            }
+            if (mode === "training") {
+                tickTraining();
+                return;
+            }
 
-                integrateFighter(f);
+            applyPendingDelay();
 
-                // Hurt end
-                if (f.state === "hurt" && f.stateFrame > 12) {
-                    f.state = f.onGround ? "idle" : "jump";
-                    f.stateFrame = 0;
-                }
+            // Schedule our input for (frame + delay)
+            const sendFrame = sim.frame + inputDelay;
+            if (sendFrame > lastLocalFrame) {
+                // After a delay increase the frames in between repeat this input,
+                // so the stream the peer sees never has holes.
+                const mask = sendFrame < FIGHT_FRAME ? 0 : buildLocalInputMask();
+                for (let f = lastLocalFrame + 1; f <= sendFrame; f++) localInputs.set(f, mask);
+                lastLocalFrame = sendFrame;
+            }
 
-                // Jump land
-                if (f.state === "jump" && f.onGround && f.stateFrame > 2) {
-                    f.state = "idle";
-                    f.stateFrame = 0;
-                }
+            advanceLastRemoteFrame();
+            sendInputWindow();
 
-                // Attack end
-                if (f.state === "punch" && f.stateFrame > 12) {
-                    f.state = f.onGround ? "idle" : "jump";
-                    f.stateFrame = 0;
-                }
-                if (f.state === "kick" && f.stateFrame > 16) {
-                    f.state = f.onGround ? "idle" : "jump";
-                    f.stateFrame = 0;
-                }
+            if (netcode === "rollback") tickRollback();
+            else tickLockstep();
 
-                // Special timing (spawn projectile on frame 8)
-                if (f.state === "special") {
-                    if (f.stateFrame === 8) {
-                        const spawned = spawnProjectile(f);
-                        if (spawned) {
-                            // small recoil for feel / spacing (deterministic)
-                            f.vx = Math.floor(f.vx * 60 / 100) - f.facing * (6 * FP);
-                        }
-                    }
-                    if (f.stateFrame > 18) {
-                        f.state = f.onGround ? "idle" : "jump";
-                        f.stateFrame = 0;
-                    }
-                }
+            forwardToSpectators();
+            checkMatchEnd();
+        }
 
-                function integrateFighter(f) {
-                    // Physics tuned for FP-per-frame velocities (deterministic integers)
-                    const gravity = 220;        // 2.20 px/frame^2 in FP units
-                    const terminal = 2600;      // 26 px/frame max fall speed in FP
+        function tickLockstep() {
+            recordChecksums();
 
-                    if (!f.onGround) {
-                        f.vy = clamp(f.vy + gravity, -999999, terminal);
-                    }
+            if (!lockstepCanAdvance(sim.frame)) {
+                stall();
+                return;
+            }
 
-                    f.x += f.vx;
-                    f.y += f.vy;
+            stalled = false;
+            stallFrames = 0;
 
-                    // Floor
-                    if (f.y >= FIX_GROUND) {
-                        f.y = FIX_GROUND;
-                        f.vy = 0;
-                        f.onGround = true;
-                    } else {
-                        f.onGround = false;
-                    }
+            stepSim(getInputsForFrame(sim.frame));
+        }
 
-                    // Walls
-                    const leftWall = 60 * FP;
-                    const rightWall = FIX_W - 60 * FP;
-                    f.x = clamp(f.x, leftWall, rightWall);
-
-                    // Friction / air drag (slightly less slippery)
-                    if (f.onGround) {
-                        f.vx = Math.floor(f.vx * 88 / 100);
-                        if (Math.abs(f.vx) < 10 * FP) f.vx = 0;
-                    } else {
-                        f.vx = Math.floor(f.vx * 97 / 100);
-                        if (Math.abs(f.vx) < 6 * FP) f.vx = 0;
-                    }
-                }
+        function tickRollback() {
+            if (rollbackFrom >= 0) rollback();
+            recordChecksums();
 
-                // Soft push apart to prevent overlap
-                const hb = getHurtbox(f);
-                const ob = getHurtbox(opp);
-                if (aabb(hb, ob)) {
-                    const push = 8 * FP;
-                    if (f.x < opp.x) { f.x -= push; opp.x += push; }
-                    else { f.x += push; opp.x -= push; }
-                }
+            // Only run ahead of the remote by a bounded number of predicted frames.
+            if (sim.frame - lastRemoteFrame > MAX_ROLLBACK_FRAMES || !localInputs.has(sim.frame)) {
+                stall();
+                return;
             }
 
-            updateFacing();
+            stalled = false;
+            stallFrames = 0;
 
-            // Melee hits (after both updated)
-            for (let i = 0; i < 2; i++) {
-                const a = fighters[i];
-                const b = fighters[1 - i];
-
-                const hit = getHitbox(a);
-                if (!hit) continue;
-                if (a.lastHitFrame === frame) continue;
-
-                const hitRect = {
-                    x: hit.x + (a.facing === 1 ? 0 : -hit.w),
-                    y: hit.y,
-                    w: hit.w,
-                    h: hit.h
-                };
+            simulateFrame();
+            pruneSnapshots();
+        }
 
-                const hurt = hurtboxRect(b);
+        function render() {
+            if (!ctx || !sim) return;
+            const { fighters, projectiles, particles } = sim;
 
-                const verticalClose = Math.abs(a.y - b.y) < 140 * FP;
-                if (verticalClose && aabb(hitRect, hurt) && b.state !== "ko") {
-                    a.lastHitFrame = frame;
-                    applyDamage(a, b, hit.dmg, hit.type);
-                }
+            // camera shake (cosmetic: must not consume the simulation RNG)
+            let sx = 0, sy = 0;
+            if (sim.shake > 0) {
+                const amt = sim.shake * 0.8;
+                sx = Math.floor((Math.random() * 2 - 1) * amt);
+                sy = Math.floor((Math.random() * 2 - 1) * amt);
             }
 
-            // Projectiles
-            for (let pi = projectiles.length - 1; pi >= 0; pi--) {
-                const p = projectiles[pi];
-                p.x += p.vx;
-                p.life--;
+            ctx.save();
+            ctx.clearRect(0, 0, ARENA_W, ARENA_H);
+            ctx.translate(sx, sy);
 
-                const pr = getProjectileRect(p);
+            // Background
+            const grd = ctx.createLinearGradient(0, 0, 0, ARENA_H);
+            grd.addColorStop(0, "#0a1634");
+            grd.addColorStop(1, "#070a10");
+            ctx.fillStyle = grd;
+            ctx.fillRect(0, 0, ARENA_W, ARENA_H);
 
-                if (p.life <= 0 || pr.x < -80 * FP || pr.x > FIX_W + 80 * FP) {
-                    projectiles.splice(pi, 1);
-                    continue;
-                }
+            // Neon horizon
+            ctx.globalAlpha = 0.35;
+            ctx.fillStyle = "#66e3ff";
+            ctx.fillRect(0, GROUND_Y - 110, ARENA_W, 2);
+            ctx.globalAlpha = 1;
 
-                const target = fighters[1 - p.ownerIdx];
-                if (target.state === "ko") continue;
-
-                const tr = hurtboxRect(target);
-                if (aabb(pr, tr)) {
-                    const owner = fighters[p.ownerIdx];
-                    applyDamage(owner, target, p.dmg, "projectile");
-                    projectiles.splice(pi, 1);
-                }
-            }
-
-            // Particles
-            for (let i = particles.length - 1; i >= 0; i--) {
-                const pt = particles[i];
-                pt.x += pt.vx;
-                pt.y += pt.vy;
-                pt.vy += 40 * FP;
-                pt.life--;
-                if (pt.life <= 0) particles.splice(i, 1);
-            }
-
-            // KO check
-            if (fighters[0].hp <= 0 || fighters[1].hp <= 0) {
-                winner = fighters[0].hp > 0 ? 0 : fighters[1].hp > 0 ? 1 : null;
-                UI.setRoundText(winner == null ? "DRAW" : (winner === 0 ? "P1 WINS" : "P2 WINS"));
-                UI.setSyncText("");
-                Audio.sfx.ko();
-                setTimeout(() => {
-                    stop();
-                    const youWin = (winner != null && winner === localPlayerIndex);
-                    UI.showResult({
-                        title: winner == null ? "Draw" : (youWin ? "Victory" : "Defeat"),
-                        sub: winner == null ? "Double KO." : (youWin ? "Clean work." : "Run it back.")
-                    });
-                }, 900);
-            }
-        }
-        function buildLocalInputMask() {
-            let m = 0;
-            if (localKeyState.has("KeyA")) m |= IN.L;
-            if (localKeyState.has("KeyD")) m |= IN.R;
-            if (localKeyState.has("KeyW")) m |= IN.J;
-            if (localKeyState.has("KeyJ")) m |= IN.P;
-            if (localKeyState.has("KeyK")) m |= IN.K;
-            if (localKeyState.has("KeyL")) m |= IN.S; // special
-            if (localKeyState.has("KeyS")) m |= IN.B; // block
-            return m | 0;
-        }
-
-        function lockstepCanAdvance(f) {
-            return localInputs.has(f) && remoteInputs.has(f);
-        }
-
-        function getInputsForFrame(f) {
-            const li = localInputs.get(f) | 0;
-            const ri = remoteInputs.get(f) | 0;
-
-            // Map to [p1Mask,p2Mask] based on local player index
-            if (localPlayerIndex === 0) return [li, ri];
-            return [ri, li];
-        }
-
-        function tickOneFrame() {
-            // Schedule/send our input for (frame + delay)
-            const sendFrame = frame + inputDelay;
-            if (!localInputs.has(sendFrame)) {
-                const mask = buildLocalInputMask();
-                localInputs.set(sendFrame, mask);
-                // Send to remote as soon as we have it
-                Net.send({ t: "in", f: sendFrame, m: mask });
-            }
-
-            // Ensure remote also gets our "frame 0..delay-1" eventually
-            // (they will stall until both have those frames)
-
-            if (!lockstepCanAdvance(frame)) {
-                stalled = true;
-                stallFrames++;
-
-                // Ask peer to resend inputs if we've been waiting ~1 second.
-                if (stallFrames % 60 === 0) {
-                    Net.send({ t: "req", f: frame });
-                }
-
-                return;
-            }
-
-            stalled = false;
-            stallFrames = 0;
-
-            const masks = getInputsForFrame(frame);
-            stepLogic(masks);
-
-            frame++;
-        }
-
-        function render() {
-            if (!ctx) return;
-
-            // camera shake
-            let sx = 0, sy = 0;
-            if (shake > 0) {
-                const amt = shake * 0.8;
-                sx = Math.floor((rand01() * 2 - 1) * amt);
-                sy = Math.floor((rand01() * 2 - 1) * amt);
-                shake--;
-            }
-
-            ctx.save();
-            ctx.clearRect(0, 0, ARENA_W, ARENA_H);
-            ctx.translate(sx, sy);
-
-            // Background
-            const grd = ctx.createLinearGradient(0, 0, 0, ARENA_H);
-            grd.addColorStop(0, "#0a1634");
-            grd.addColorStop(1, "#070a10");
-            ctx.fillStyle = grd;
-            ctx.fillRect(0, 0, ARENA_W, ARENA_H);
-
-            // Neon horizon
-            ctx.globalAlpha = 0.35;
-            ctx.fillStyle = "#66e3ff";
-            ctx.fillRect(0, GROUND_Y - 110, ARENA_W, 2);
-            ctx.globalAlpha = 1;
-
-            // Ground
-            ctx.fillStyle = "rgba(255,255,255,0.04)";
-            ctx.fillRect(0, GROUND_Y, ARENA_W, ARENA_H - GROUND_Y);
+            // Ground
+            ctx.fillStyle = "rgba(255,255,255,0.04)";
+            ctx.fillRect(0, GROUND_Y, ARENA_W, ARENA_H - GROUND_Y);
 
             // Grid lines
             ctx.strokeStyle = "rgba(255,255,255,0.05)";
@@ -1479,18 +1538,33 @@ Now output the JSON.`.trim();
                 ctx.fillText("SYNCING...", ARENA_W / 2, ARENA_H / 2);
                 ctx.font = "12px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace";
                 ctx.fillStyle = "rgba(255,255,255,0.75)";
-                ctx.fillText(`waiting for inputs (frame ${frame})`, ARENA_W / 2, ARENA_H / 2 + 22);
+                ctx.fillText(`waiting for inputs (frame ${sim.frame})`, ARENA_W / 2, ARENA_H / 2 + 22);
             }
 
             ctx.restore();
 
             // HUD updates
+            if (mode === "training") {
+                UI.setRoundText(paused ? "PAUSED" : (sim.koFrame >= 0 ? "KO" : ""));
+                UI.setTrainingStatus({ paused, recorded: training.recording.length / FPS, saved: !!training.saved });
+            } else if (sim.koFrame < 0) {
+                UI.setRoundText(roundText());
+            } else if (mode === "replay") {
+                UI.setRoundText(sim.winner == null ? "DRAW" : (sim.winner === 0 ? "P1 WINS" : "P2 WINS"));
+            }
+            if (mode === "replay") UI.setReplayPosition(sim.frame, replay.frames, paused);
+            UI.setRoundInfo(mode === "training" ? {} : {
+                timeLeft: Sim.roundTimeLeft(sim),
+                roundsWon: sim.roundsWon,
+                roundsToWin: sim.rules.roundsToWin
+            });
             UI.setHP(0, fighters[0].hp / fighters[0].d.maxHP);
             UI.setHP(1, fighters[1].hp / fighters[1].d.maxHP);
             UI.setMeter(0, fighters[0].meter / 100);
             UI.setMeter(1, fighters[1].meter / 100);
 
-            UI.setSyncText(stalled ? `syncing… (${stallFrames}f)` : "");
+            UI.setSyncText(stalled ? `syncing… (${stallFrames}f)` : (mode === "net" ? `${pingText}delay ${inputDelay}f` : ""));
+            onStall(stalled ? stallFrames / FPS : 0);
         }
 
         function drawFighter(f) {
@@ -1665,11 +1739,232 @@ Now output the JSON.`.trim();
             ctx.closePath();
         }
 
+        function tickReplay() {
+            if (sim.frame >= replay.frames) {
+                paused = true;
+                return;
+            }
+            if (sim.frame % REPLAY_KEYFRAME_INTERVAL === 0 && !replayKeyframes.has(sim.frame)) {
+                replayKeyframes.set(sim.frame, Sim.cloneState(sim));
+            }
+            stepSim([replay.p1Masks[sim.frame], replay.p2Masks[sim.frame]]);
+        }
+
+        function tickLocal() {
+            // Both players share this keyboard (or P2 is the CPU): no delay and nothing to wait for.
+            const p1Mask = buildLocalInputMask(cpu ? KEY_LAYOUTS.solo : KEY_LAYOUTS.left);
+            const p2Mask = cpu ? cpu.next(sim) : buildLocalInputMask(KEY_LAYOUTS.right);
+            const masks = sim.frame < FIGHT_FRAME ? [0, 0] : [p1Mask, p2Mask];
+
+            // Kept like netplay inputs so the match saves as a replay.
+            localInputs.set(sim.frame, masks[0]);
+            remoteInputs.set(sim.frame, masks[1]);
+            stepSim(masks);
+        }
+
+        function startLocal({ seed, p1Char, p2Char, p1Name, p2Name, cpuLevel = null, rules }, canvasEl) {
+            resetMatch({
+                seedIn: seed,
+                localIndex: 0,
+                p1Char,
+                p2Char,
+                p1Name,
+                p2Name,
+                modeIn: "local",
+                cpuLevel,
+                rulesIn: rules
+            });
+            start(canvasEl);
+        }
+
+        function tickTraining() {
+            // A KO only pauses the drill; positions reset after a beat.
+            if (sim.koFrame >= 0 && sim.frame - sim.koFrame > FPS) {
+                resetTrainingPosition();
+                return;
+            }
+
+            const keys = buildLocalInputMask(KEY_LAYOUTS.solo);
+            let p1Mask = keys;
+            let p2Mask = 0;
+            if (training.dummy === "block") {
+                p2Mask = IN.B;
+            } else if (training.dummy === "jump") {
+                p2Mask = sim.frame % 40 === 0 ? IN.J : 0;
+            } else if (training.dummy === "record") {
+                // The player drives the dummy while P1 stands still.
+                p1Mask = 0;
+                p2Mask = keys;
+                if (training.recording.length < TRAINING_RECORD_MAX) training.recording.push(keys);
+            } else if (training.dummy === "playback" && training.recording.length) {
+                p2Mask = training.recording[training.playPos % training.recording.length];
+                training.playPos++;
+            }
+
+            stepSim([p1Mask, p2Mask]);
+            applyTrainingAids();
+        }
+
+        function applyTrainingAids() {
+            for (const f of sim.fighters) {
+                if (training.infiniteMeter) f.meter = 100;
+                // Refill once a combo is over, or early enough that no single hit can KO.
+                const recovered = f.state !== "hurt" && f.stun === 0;
+                if (training.infiniteHp && f.hp > 0 && f.hp < f.d.maxHP && (recovered || f.hp < f.d.maxHP / 4)) {
+                    f.hp = f.d.maxHP;
+                }
+            }
+        }
+
+        function startTraining({ seed, p1Char, p2Char, p1Name, p2Name }, canvasEl) {
+            resetMatch({
+                seedIn: seed,
+                localIndex: 0,
+                p1Char,
+                p2Char,
+                p1Name,
+                p2Name,
+                modeIn: "training"
+            });
+            training.recording = [];
+            training.playPos = 0;
+            training.saved = null;
+            start(canvasEl);
+        }
+
+        function setTraining(opts) {
+            if ("dummy" in opts && opts.dummy !== training.dummy) {
+                training.dummy = opts.dummy;
+                // Selecting "record" starts a fresh recording; playback restarts from its top.
+                if (training.dummy === "record") training.recording = [];
+                training.playPos = 0;
+            }
+            if ("infiniteHp" in opts) training.infiniteHp = !!opts.infiniteHp;
+            if ("infiniteMeter" in opts) training.infiniteMeter = !!opts.infiniteMeter;
+        }
+
+        function resetTrainingPosition() {
+            if (mode !== "training") return;
+            sim = Sim.createState({ seed: seedAtStart, p1Char: p1, p2Char: p2 });
+            training.playPos = 0;
+        }
+
+        function saveTrainingState() {
+            if (mode !== "training") return false;
+            training.saved = { sim: Sim.cloneState(sim), playPos: training.playPos };
+            return true;
+        }
+
+        function loadTrainingState() {
+            if (mode !== "training" || !training.saved) return false;
+            // Clone again so the same savestate can be loaded any number of times.
+            sim = Sim.cloneState(training.saved.sim);
+            training.playPos = training.saved.playPos;
+            return true;
+        }
+
+        function tickSpectate() {
+            const pair = spectateInputs.get(sim.frame);
+            if (!pair) {
+                stalled = true;
+                stallFrames++;
+                return;
+            }
+            stalled = false;
+            stallFrames = 0;
+            spectateInputs.delete(sim.frame);
+            stepSim(pair);
+        }
+
+        function startSpectate(payload, canvasEl) {
+            resetMatch({
+                seedIn: payload.seed,
+                localIndex: 0,
+                p1Char: payload.p1Char,
+                p2Char: payload.p2Char,
+                p1Name: payload.p1User,
+                p2Name: payload.p2User,
+                netcodeIn: payload.netcode,
+                modeIn: "spectate",
+                rulesIn: payload.rules
+            });
+            start(canvasEl);
+        }
+
+        function pushSpectatorInputs(from, pairs) {
+            if (mode !== "spectate") return;
+            pairs.forEach((pair, i) => {
+                if (!Array.isArray(pair)) return;
+                spectateInputs.set(from + i, [pair[0] | 0, pair[1] | 0]);
+            });
+        }
+
+        function endSpectate() {
+            // Host left before a KO.
+            if (mode !== "spectate" || resultShown) return;
+            resultShown = true;
+            stop();
+            UI.setRoundText("");
+            UI.showResult({ title: "Match ended", sub: "The host left before a KO." });
+        }
+
+        function startReplay(r, canvasEl) {
+            replay = r;
+            replayKeyframes.clear();
+            resetMatch({
+                seedIn: r.seed,
+                localIndex: 0,
+                p1Char: r.players[0].char,
+                p2Char: r.players[1].char,
+                p1Name: r.players[0].user,
+                p2Name: r.players[1].user,
+                netcodeIn: r.netcode,
+                modeIn: "replay",
+                rulesIn: r.rules
+            });
+            replayKeyframes.set(0, Sim.cloneState(sim));
+            start(canvasEl);
+        }
+
+        function setPaused(p) {
+            if (mode !== "replay" && mode !== "training") return;
+            // Pressing play at the end starts over.
+            if (mode === "replay" && !p && sim.frame >= replay.frames) seek(0);
+            paused = !!p;
+        }
+
+        function stepOnce() {
+            if (mode !== "replay" && mode !== "training") return;
+            paused = true;
+            if (mode === "training") tickTraining();
+            else tickReplay();
+        }
+
+        function setSpeed(x) {
+            speed = clamp(Number(x) || 1, 0.25, 4);
+        }
+
+        function seek(target) {
+            if (mode !== "replay") return;
+            target = clamp(target | 0, 0, replay.frames);
+
+            let from = 0;
+            for (const f of replayKeyframes.keys()) {
+                if (f <= target && f > from) from = f;
+            }
+            if (target < sim.frame || from > sim.frame) sim = Sim.cloneState(replayKeyframes.get(from));
+
+            resimulating = true;
+            while (sim.frame < target) tickReplay();
+            resimulating = false;
+        }
+
         function gameLoop(t) {
             if (!running) return;
             const dt = t - lastTime;
             lastTime = t;
-            acc += dt;
+            if (mode === "replay" || mode === "training") acc += paused ? 0 : dt * speed;
+            else acc += dt;
 
             // Cap catch-up to avoid spiral
             acc = Math.min(acc, 200);
@@ -1697,57 +1992,64 @@ Now output the JSON.`.trim();
             running = false;
         }
 
-        // Remote input injection
-        function pushRemoteInput(f, mask) {
-            // store remote by simulation frame
-            if (!remoteInputs.has(f)) remoteInputs.set(f, mask | 0);
-        }
-        function resendLocalInputs(from, count = 180) {
-            // Resend already-known local inputs for a window of frames.
-            // Helps recovery if the peer is missing some frames for any reason.
-            for (let f = from; f < from + count; f++) {
-                if (localInputs.has(f)) {
-                    Net.send({ t: "in", f, m: localInputs.get(f) | 0 });
-                }
+        function leave() {
+            // Leaving an undecided netplay match concedes it; returns true if it did.
+            const conceded = mode === "net" && (running || suspended) && !resultShown;
+            if (conceded) {
+                forfeitWinner = 1 - localPlayerIndex;
+                resultShown = true;
             }
+            suspended = false;
+            recordReplay();
+            endSpectatorStream();
+            stop();
+            onStall(0);
+            return conceded;
         }
 
-        function hashStr32(s) {
-            // Deterministic 32-bit hash (FNV-1a-ish)
-            s = String(s || "");
-            let h = 2166136261 | 0;
-            for (let i = 0; i < s.length; i++) {
-                h ^= s.charCodeAt(i);
-                h = Math.imul(h, 16777619);
-            }
-            return h | 0;
+        function suspend() {
+            // Keep everything (inputs, snapshots, acks); only the loop stops.
+            if (mode !== "net" || !running || resultShown) return false;
+            suspended = true;
+            stop();
+            return true;
         }
 
-        function pick(arr, h, salt) {
-            const idx = Math.abs((h ^ (salt | 0)) | 0) % arr.length;
-            return arr[idx];
+        function resumeInfo() {
+            if (!suspended) return null;
+            return { seed: seedAtStart, player: localPlayerIndex, confirmed: lastConfirmedFrame() };
         }
 
-        function deriveVisuals(char) {
-            const h = hashStr32(char.name + "|" + char.tagline);
-
-            // Silhouette from stats (so it "feels" tied to build)
-            const bulkyScore = (char.stats.health + char.stats.defense) - char.stats.speed;
-            const nimbleScore = char.stats.speed + char.stats.jump - char.stats.health;
-
-            const silhouette =
-                bulkyScore >= 6 ? "bulky" :
-                    nimbleScore >= 6 ? "nimble" :
-                        "balanced";
-
-            const head = pick(["none", "bandana", "hood", "helmet", "topknot"], h, 11);
-            const face = pick(["none", "mask", "visor"], h, 23);
-            const pattern = pick(["plain", "stripe", "chevron", "dot"], h, 37);
-            const aura = (char.stats.special >= 7) ? pick(["none", "electric", "void", "wind", "fire"], h, 51) : "none";
-
-            const projShape = pick(["orb", "shuriken", "kunai", "banana"], h, 71);
+        function resume(canvasEl) {
+            // Missing inputs on either side are resent by the ack windows once packets flow again.
+            if (!suspended) return;
+            suspended = false;
+            stalled = false;
+            stallFrames = 0;
+            start(canvasEl);
+        }
 
-            return { h, silhouette, head, face, pattern, aura, projShape };
+        // Remote input injection
+        function pushRemoteInput(f, mask) {
+            // store remote by simulation frame
+            if (remoteInputs.has(f)) return;
+            // Nobody moves before FIGHT, whatever the peer sends.
+            const m = f < FIGHT_FRAME ? 0 : mask | 0;
+            remoteInputs.set(f, m);
+
+            // A late input for a frame we already simulated on a guess:
+            // schedule a rollback if the guess was wrong.
+            if (predictedRemote.has(f)) {
+                if (predictedRemote.get(f) !== m) {
+                    rollbackFrom = rollbackFrom < 0 ? f : Math.min(rollbackFrom, f);
+                }
+                predictedRemote.delete(f);
+            }
+        }
+        function pushRemotePacket(pkt) {
+            if (mode !== "net" || !sim || pkt.match !== seedAtStart >>> 0) return;
+            peerAck = Math.max(peerAck, pkt.ack);
+            pkt.masks.forEach((m, i) => pushRemoteInput(pkt.from + i, m));
         }
 
         function pushLocalInput(f, mask) {
@@ -1761,14 +2063,48 @@ Now output the JSON.`.trim();
         }
 
         return {
+            setHandlers,
             resetMatch,
             start,
             stop,
+            leave,
+            startReplay,
+            setPaused,
+            stepOnce,
+            setSpeed,
+            seek,
+            startSpectate,
+            pushSpectatorInputs,
+            endSpectate,
+            sendSpectatorBacklog,
+            isRunning: () => running,
+            isGameKey: (code) => GAME_KEYS.has(code),
+            startLocal,
+            startTraining,
+            setTraining,
+            resetTrainingPosition,
+            saveTrainingState,
+            loadTrainingState,
+            forfeit,
+            suspend,
+            resume,
+            resumeInfo,
+            isPaused: () => paused,
+            get mode() { return mode; },
+            // A netplay match is under way and not decided (KO, forfeit or leave) yet.
+            get netMatchLive() { return mode === "net" && !!sim && !resultShown; },
             pushRemoteInput,
+            pushRemotePacket,
             pushLocalInput,
-            resendLocalInputs,
+            pushRemoteChecksum,
+            pushRemoteDesync,
+            getDesyncDump,
             setKey,
-            get frame() { return frame; }
+            scheduleDelayChange,
+            setPing: (ms) => { pingText = ms == null ? "" : `${Math.round(ms)} ms · `; },
+            get inputDelay() { return inputDelay; },
+            get localIndex() { return localPlayerIndex; },
+            get frame() { return sim ? sim.frame : 0; }
         };
     })();
 
@@ -1782,6 +2118,9 @@ Now output the JSON.`.trim();
             "#screen-prompt",
             "#screen-import",
             "#screen-lobby",
+            "#screen-replays",
+            "#screen-local",
+            "#screen-tournament",
             "#screen-game",
             "#screen-result"
         ];
@@ -1789,6 +2128,10 @@ Now output the JSON.`.trim();
         function show(id) {
             for (const s of screens) $(s).classList.remove("active");
             $(id).classList.add("active");
+
+            // The chat panel follows the player between the lobby and the result screen.
+            const slot = $(id).querySelector(".chatSlot");
+            if (slot) slot.appendChild($("#chatPanel"));
         }
 
         function setUserLabel(name) {
@@ -1806,6 +2149,17 @@ Now output the JSON.`.trim();
             el.textContent = msg;
         }
 
+        function setCode(textareaSel, qrSel, code) {
+            // Codes are shown as text and as a QR code for phone-to-screen sharing.
+            $(textareaSel).value = code || "";
+            const canvas = $(qrSel);
+            canvas.style.display = "none";
+            if (!code) return;
+            QRCode.toCanvas(canvas, code, { errorCorrectionLevel: "L", margin: 1, width: 200 })
+                .then(() => { canvas.style.display = ""; })
+                .catch(() => { }); // too long for a QR code (e.g. an old-style code)
+        }
+
         function clearToasts() {
             $("#importError").style.display = "none";
             $("#importOk").style.display = "none";
@@ -1814,6 +2168,8 @@ Now output the JSON.`.trim();
         function updateSettingsLabels() {
             $("#volLabel").textContent = `Volume: ${Math.round(settings.volume * 100)}%`;
             $("#delayLabel").textContent = `Input delay: ${settings.inputDelayFrames} frame(s)`;
+            $("#specDelayLabel").textContent = `Spectator delay: ${settings.spectatorDelaySec}s`;
+            $("#stallTimeoutLabel").textContent = `Claim a forfeit after: ${settings.stallTimeoutSec}s`;
         }
 
         function openSettings(open) {
@@ -1855,9 +2211,49 @@ Now output the JSON.`.trim();
             $("#syncText").textContent = t || "";
         }
 
-        function showResult({ title, sub }) {
+        function setMatchMode(mode, { splitKeys = false } = {}) {
+            $("#replayBar").style.display = mode === "replay" ? "" : "none";
+            $("#trainingBar").style.display = mode === "training" ? "" : "none";
+            $("#btnLeaveMatch").textContent =
+                mode === "replay" ? "Close Replay" :
+                    mode === "spectate" ? "Stop Watching" :
+                        mode === "training" ? "Exit Training" : "Leave Match";
+            $("#controlsText").textContent = splitKeys
+                ? "P1: A/D move • W jump • S block • F punch • G kick • H special — P2: ←/→ move • ↑ jump • ↓ block • , punch • . kick • / special"
+                : "Controls: A/D move • W jump • J punch • K kick • L special • S block";
+        }
+
+        function setRoundInfo({ timeLeft = null, roundsWon = [0, 0], roundsToWin = 1 }) {
+            $("#roundTimer").textContent = timeLeft == null ? "" : String(Math.ceil(timeLeft / Sim.FPS));
+            for (let i = 0; i < 2; i++) {
+                const won = Math.min(roundsWon[i], roundsToWin);
+                $(`#p${i + 1}Pips`).textContent = roundsToWin > 1 ? "●".repeat(won) + "○".repeat(roundsToWin - won) : "";
+            }
+        }
+
+        function setTrainingStatus({ paused, recorded, saved }) {
+            $("#btnTrainingPause").textContent = paused ? "Play" : "Pause";
+            $("#btnLoadState").disabled = !saved;
+            $("#trainingStatus").textContent = recorded > 0 ? `Recorded ${recorded.toFixed(1)}s` : "";
+        }
+
+        function setReplayPosition(frame, frames, paused) {
+            const seek = $("#replaySeek");
+            seek.max = String(frames);
+            // Don't fight the user while they drag the slider.
+            if (document.activeElement !== seek) seek.value = String(frame);
+            $("#replayFrameLabel").textContent = `${fmtFrames(frame)} / ${fmtFrames(frames)} (frame ${frame})`;
+            $("#btnReplayPlay").textContent = paused ? "Play" : "Pause";
+        }
+
+        function showResult({ title, sub, desync = false }) {
             $("#resultTitle").textContent = title;
             $("#resultSub").textContent = sub || "";
+            $("#btnDownloadDesync").style.display = desync ? "" : "none";
+            // Netplay results relabel these for the rematch vote afterwards.
+            $("#btnRematch").textContent = "Rematch";
+            $("#btnRematch").disabled = false;
+            $("#rematchStatus").textContent = "";
             show("#screen-result");
         }
 
@@ -1866,6 +2262,7 @@ Now output the JSON.`.trim();
             setUserLabel,
             toastOk,
             toastErr,
+            setCode,
             clearToasts,
             updateSettingsLabels,
             openSettings,
@@ -1874,6 +2271,10 @@ Now output the JSON.`.trim();
             setHUDNames,
             setRoundText,
             setSyncText,
+            setMatchMode,
+            setTrainingStatus,
+            setRoundInfo,
+            setReplayPosition,
             showResult
         };
     })();
@@ -1964,15 +2365,86 @@ Now output the JSON.`.trim();
     // -----------------------------
     let remoteHello = null; // { user, char }
     let localHello = null;  // { user, char }
+    const ready = { me: false, them: false }; // lobby ready check; a new pick clears it
     let matchSeed = 0;
+    let seedRound = null;    // commit-reveal in progress: { nonce, commitment } (see seed.mjs)
+    let launchSeed = null;   // loaded match waiting for the start-ack/go handshake
+    let launchSeq = 0;       // bumped on leave so a pending launch can't fire afterwards
+
+    // Best-of-N set over one connection. The host's tally is authoritative and
+    // travels in every `start`; "me"/"them" are from this player's point of view.
+    const matchSet = { bestOf: 1, game: 0, me: 0, them: 0, myVote: false, theirVote: false };
+    let currentStart = null; // host: last start payload, replayed to late spectators
+    let spectating = false;  // joiner: host connected us as a spectator
 
     function setNetStatus(s) {
         $("#netStatus").textContent = `Status: ${s}`;
     }
 
     function updateStartMatchEnabled() {
-        const ok = Net.ready() && localHello && remoteHello;
-        $("#btnStartMatch").disabled = !ok;
+        const ok = Net.ready() && localHello && remoteHello && !spectating;
+        $("#btnStartMatch").disabled = !(ok && ready.me && ready.them);
+        // Picks and chat need the same: a compatible opponent, not a spectator seat.
+        $("#chatPanel").style.display = ok ? "" : "none";
+        $("#matchSetupPanel").style.display = ok ? "" : "none";
+        if (ok) renderMatchSetup();
+    }
+
+    function renderMatchSetup() {
+        const select = $("#lobbyCharSelect");
+        select.innerHTML = "";
+        for (const c of listCharacters()) {
+            const opt = document.createElement("option");
+            opt.value = c.id;
+            opt.textContent = c.name;
+            select.appendChild(opt);
+        }
+        select.value = localHello.char.id;
+        $("#lobbyCharSummary").textContent = characterSummaryText(localHello.char);
+
+        $("#btnReady").textContent = ready.me ? "Not Ready" : "Ready";
+        $("#btnReady").classList.toggle("primary", !ready.me);
+        $("#localReadyLabel").textContent = ready.me ? "Ready" : "Not ready";
+        $("#remoteSetupName").textContent = remoteHello.user;
+        $("#remoteCharSummary").textContent = characterSummaryText(remoteHello.char);
+        $("#remoteReadyLabel").textContent = ready.them ? "Ready" : "Not ready";
+    }
+
+    function setReady(value) {
+        ready.me = value;
+        Net.send({ t: "ready", ready: value });
+        updateStartMatchEnabled();
+    }
+
+    function clearReady() {
+        // Every match starts from a fresh ready check.
+        ready.me = false;
+        ready.them = false;
+        updateStartMatchEnabled();
+    }
+
+    function onActiveCharacterChanged() {
+        updateActiveCharLabel();
+        // Connected: the peer sees the new pick, and both ready flags reset.
+        if (Net.ready() && localHello && !spectating) sendHello();
+    }
+
+    // What our build simulates; a peer must match it to play (see compat.mjs).
+    const LOCAL_COMPAT = Compat.compatInfo({
+        appVersion: window.CFG?.version,
+        specVersion: CharacterSpec.version,
+        specRules: {
+            budget: CharacterSpec.budget,
+            statMin: CharacterSpec.statMin,
+            statMax: CharacterSpec.statMax,
+            stats: CharacterSpec.stats
+        }
+    });
+
+    function refuseIncompatiblePeer(problems) {
+        $("#compatError").textContent = `Can't play with this peer: ${problems.join(" ")}`;
+        $("#compatError").style.display = "block";
+        setNetStatus("connected, but the other build is incompatible");
     }
 
     function sendHello() {
@@ -1981,109 +2453,1325 @@ Now output the JSON.`.trim();
         if (!c) return;
 
         localHello = { user: uname, char: c };
-        Net.send({ t: "hello", user: uname, char: c });
+        ready.me = false;
+        Net.send({ t: "hello", user: uname, char: c, compat: LOCAL_COMPAT });
         updateStartMatchEnabled();
     }
 
     function resetLobbyNetState() {
+        // A bracket match picked before connecting waits for its peer; one bound
+        // to an earlier connection is dropped (unless that match is being resumed).
+        dropTournamentPeer();
         remoteHello = null;
         localHello = null;
         matchSeed = 0;
+        seedRound = null;
+        // A suspended game keeps its set score for the resume; it's dropped if the resume is refused.
+        if (Game.resumeInfo()) clearRematchVotes();
+        else resetSet();
+        ready.me = false;
+        ready.them = false;
+        currentStart = null;
+        spectating = false;
+        clearChat();
+        $("#compatError").style.display = "none";
+        UI.setCode("#spectatorOfferOut", "#spectatorOfferQr", "");
+        $("#spectatorAnswerIn").value = "";
         updateStartMatchEnabled();
     }
 
-    function startMatchAsHost() {
+    function matchRules() {
+        // The host's round rules; the sim normalizes them (see normalizeRules).
+        return { roundsToWin: settings.roundsToWin, roundSeconds: settings.roundSeconds };
+    }
+
+    function setMatchInfo(text) {
+        $("#matchInfo").textContent = text;
+    }
+
+    async function requestMatchStart() {
+        // Step 1 (host): commit to a nonce; the joiner answers with its own.
         if (!localHello || !remoteHello) return;
+        const nonce = Seed.randomNonce();
+        const commitment = await Seed.commitNonce(nonce);
+        seedRound = { nonce, commitment };
+        Net.send({ t: "seed-commit", c: commitment });
+        setNetStatus("connected (agreeing on a seed...)");
+    }
 
-        // deterministic seed derived from time but clamped to int32
-        matchSeed = (Date.now() & 0x7fffffff) | 0;
+    function answerSeedCommit(commitment) {
+        // Step 2 (joiner): remember the commitment, send our nonce in the clear.
+        if (typeof commitment !== "string" || !/^[0-9a-f]{64}$/.test(commitment)) return;
+        seedRound = { nonce: Seed.randomNonce(), commitment };
+        Net.send({ t: "seed-nonce", n: seedRound.nonce });
+    }
+
+    async function startMatchAsHost(joinerNonce) {
+        // Step 3 (host): derive the seed from both nonces and reveal ours in `start`.
+        if (!localHello || !remoteHello || !seedRound || !Seed.isNonce(joinerNonce)) return;
+        const hostNonce = seedRound.nonce;
+        seedRound = null;
+
+        matchSeed = await Seed.deriveSeed(hostNonce, joinerNonce);
+        if (matchSet.game === 0) matchSet.bestOf = settings.bestOf;
+        const hostSeat = settings.swapSides && matchSet.game % 2 === 1 ? 1 : 0;
+        const [a, b] = hostSeat === 0 ? [localHello, remoteHello] : [remoteHello, localHello];
         const payload = {
             t: "start",
             seed: matchSeed,
-            p1User: localHello.user,
-            p2User: remoteHello.user,
-            p1Char: localHello.char,
-            p2Char: remoteHello.char
+            reveal: { host: hostNonce, joiner: joinerNonce },
+            p1User: a.user,
+            p2User: b.user,
+            p1Char: a.char,
+            p2Char: b.char,
+            hostSeat,
+            set: { bestOf: matchSet.bestOf, game: matchSet.game, score: [matchSet.me, matchSet.them] },
+            netcode: settings.netcode,
+            rules: matchRules(),
+            delay: matchInputDelay()
         };
+        clearRematchVotes();
+        clearReady();
         Net.send(payload);
+        currentStart = payload;
+        Net.sendSpectators({ ...payload, t: "spec-start" });
+        setMatchInfo(`Seed ${Seed.formatSeed(matchSeed)} (from both players' nonces)`);
 
-        // Host is P1 (localIndex 0)
+        // Host is P1 unless sides swap this game
+        hideResumePanel();
         UI.show("#screen-game");
         Audio.resumeIfSuspended();
         Audio.startMusic();
 
         Game.resetMatch({
             seedIn: matchSeed,
-            localIndex: 0,
-            p1Char: localHello.char,
-            p2Char: remoteHello.char,
-            p1Name: localHello.user,
-            p2Name: remoteHello.user
+            localIndex: hostSeat,
+            p1Char: a.char,
+            p2Char: b.char,
+            p1Name: a.user,
+            p2Name: b.user,
+            rulesIn: payload.rules,
+            netcodeIn: settings.netcode,
+            delayIn: payload.delay
         });
+        // The loop starts once the joiner says it has loaded too (see onStartAck).
+        launchSeed = matchSeed;
+        UI.setSyncText(`waiting for ${remoteHello.user} to load…`);
+    }
+
+    function onStartAck(msg) {
+        // Host: joiner is loaded. Tell it to go, and start ourselves once the
+        // message has (roughly) arrived, so both clocks begin together.
+        if (launchSeed === null || (msg.seed | 0) !== launchSeed) return;
+        launchSeed = null;
+        Net.send({ t: "go", seed: msg.seed | 0 });
+
+        const seq = launchSeq;
+        const oneWayMs = (rtt.stats()?.rtt ?? 0) / 2;
+        setTimeout(() => {
+            if (seq === launchSeq) Game.start($("#gameCanvas"));
+        }, oneWayMs);
+    }
+
+    function onGo(msg) {
+        // Joiner: host is starting now.
+        if (launchSeed === null || (msg.seed | 0) !== launchSeed) return;
+        launchSeed = null;
         Game.start($("#gameCanvas"));
     }
 
+    function cancelLaunch() {
+        launchSeed = null;
+        launchSeq++;
+    }
+
+    async function verifyStartSeed(msg) {
+        // Step 4 (joiner): the host's nonce must match its commitment and our nonce must be used.
+        const round = seedRound;
+        seedRound = null;
+        const reveal = msg.reveal || {};
+        if (!round) return "the host started without a seed commitment.";
+        if (reveal.joiner !== round.nonce) return "the host didn't use our nonce.";
+        if (!(await Seed.verifyReveal(reveal.host, round.commitment))) return "the host's nonce doesn't match its commitment.";
+        if ((await Seed.deriveSeed(reveal.host, reveal.joiner)) !== (msg.seed | 0)) return "the seed doesn't match the nonces.";
+        return null;
+    }
+
+    async function onStartMessage(msg) {
+        // Validate everything
+        const v1 = validateAndNormalizeCharacter(msg.p1Char);
+        const v2 = validateAndNormalizeCharacter(msg.p2Char);
+        if (!v1.ok || !v2.ok) return;
+
+        const seedProblem = await verifyStartSeed(msg);
+        if (seedProblem) {
+            setNetStatus(`refused match: ${seedProblem}`);
+            return;
+        }
+
+        // The host's set tally is authoritative; mirror it from our side.
+        const set = msg.set || {};
+        matchSet.bestOf = [1, 3, 5, 7].includes(set.bestOf) ? set.bestOf : 1;
+        matchSet.game = set.game | 0;
+        matchSet.me = Array.isArray(set.score) ? set.score[1] | 0 : 0;
+        matchSet.them = Array.isArray(set.score) ? set.score[0] | 0 : 0;
+        clearRematchVotes();
+        clearReady();
+
+        startMatchAsJoiner({
+            seed: msg.seed | 0,
+            localIndex: msg.hostSeat === 1 ? 0 : 1,
+            p1User: String(msg.p1User || "P1"),
+            p2User: String(msg.p2User || "P2"),
+            p1Char: v1.character,
+            p2Char: v2.character,
+            netcode: msg.netcode === "rollback" ? "rollback" : "lockstep",
+            rules: msg.rules,
+            delay: msg.delay | 0
+        });
+    }
+
     function startMatchAsJoiner(msg) {
-        // Joiner is P2 (localIndex 1)
+        // Joiner is P2 unless the host swapped sides
+        setMatchInfo(`Seed ${Seed.formatSeed(msg.seed)} (verified against the host's commitment)`);
+        hideResumePanel();
         UI.show("#screen-game");
         Audio.resumeIfSuspended();
         Audio.startMusic();
 
         Game.resetMatch({
             seedIn: msg.seed | 0,
-            localIndex: 1,
+            localIndex: msg.localIndex,
             p1Char: msg.p1Char,
             p2Char: msg.p2Char,
             p1Name: msg.p1User,
-            p2Name: msg.p2User
+            p2Name: msg.p2User,
+            netcodeIn: msg.netcode,
+            delayIn: msg.delay,
+            rulesIn: msg.rules
         });
-        Game.start($("#gameCanvas"));
+        launchSeed = msg.seed | 0;
+        UI.setSyncText("waiting for the host…");
+        Net.send({ t: "start-ack", seed: launchSeed });
     }
 
     // -----------------------------
-    // Wire UI events
+    // Results, rematch votes and sets
     // -----------------------------
-    function wireUI() {
-        // Global nav
-        $("#btnHome").addEventListener("click", () => { Audio.sfx.ui(); UI.show("#screen-home"); });
-        $("#btnSettings").addEventListener("click", () => { Audio.sfx.ui(); UI.openSettings(true); });
-        $("#btnCloseSettings").addEventListener("click", () => { Audio.sfx.ui(); UI.openSettings(false); });
+    function resetSet() {
+        Object.assign(matchSet, { bestOf: 1, game: 0, me: 0, them: 0 });
+        clearRematchVotes();
+    }
 
-        // Settings controls
-        $("#volRange").value = String(Math.round(settings.volume * 100));
-        $("#musicToggle").checked = !!settings.music;
-        $("#sfxToggle").checked = !!settings.sfx;
-        $("#delayRange").value = String(settings.inputDelayFrames);
-        UI.updateSettingsLabels();
+    function clearRematchVotes() {
+        matchSet.myVote = false;
+        matchSet.theirVote = false;
+    }
 
-        $("#volRange").addEventListener("input", (e) => {
-            settings.volume = Number(e.target.value) / 100;
-            saveSettings();
-        });
-        $("#musicToggle").addEventListener("change", (e) => {
-            settings.music = !!e.target.checked;
-            saveSettings();
-            if (settings.music) Audio.startMusic(); else Audio.stopMusic();
-        });
-        $("#sfxToggle").addEventListener("change", (e) => {
-            settings.sfx = !!e.target.checked;
-            saveSettings();
-        });
-        $("#delayRange").addEventListener("input", (e) => {
-            settings.inputDelayFrames = Number(e.target.value) | 0;
-            saveSettings();
-        });
+    function setOver() {
+        const need = Math.ceil(matchSet.bestOf / 2);
+        return matchSet.me >= need || matchSet.them >= need;
+    }
 
-        $("#btnResetStorage").addEventListener("click", () => {
-            if (!confirm("Reset all local storage (username, characters, settings)?")) return;
-            localStorage.clear();
-            location.reload();
-        });
+    function setScoreText() {
+        const them = remoteHello?.user || "Opponent";
+        return `Best of ${matchSet.bestOf}: You ${matchSet.me} – ${matchSet.them} ${them}`;
+    }
 
-        // Username flow
-        $("#btnUsernameContinue").addEventListener("click", () => {
-            Audio.resumeIfSuspended();
-            Audio.sfx.ui();
+    function onNetMatchResult({ winner, localIndex, forfeit = "", roundsWon = null }) {
+        const youWin = winner != null && winner === localIndex;
+        if (winner != null) {
+            if (youWin) matchSet.me++;
+            else matchSet.them++;
+        }
+        matchSet.game++;
+
+        let title = winner == null ? "Draw" : (youWin ? "Victory" : "Defeat");
+        let sub = forfeit || (winner == null ? "Double KO." : (youWin ? "Clean work." : "Run it back."));
+        if (roundsWon && Math.max(...roundsWon) > 1) {
+            sub = `${sub} Rounds ${roundsWon[localIndex]}–${roundsWon[1 - localIndex]}.`;
+        }
+        if (matchSet.bestOf > 1) {
+            if (setOver()) title = matchSet.me > matchSet.them ? "Set won" : "Set lost";
+            sub = `${sub} ${setScoreText()}.`;
+        }
+        if (matchSet.bestOf === 1 || setOver()) {
+            const decided = matchSet.bestOf === 1 ? (winner == null ? null : youWin) : matchSet.me > matchSet.them;
+            const note = onNetTournamentResult(decided);
+            if (note) sub = `${sub} ${note}`;
+        }
+        UI.showResult({ title, sub });
+        updateRematchUI();
+    }
+
+    function updateRematchUI() {
+        const them = remoteHello?.user || "Opponent";
+        const next = matchSet.bestOf > 1 && !setOver() ? "Next Game" : (matchSet.bestOf > 1 ? "New Set" : "Rematch");
+        $("#btnRematch").textContent = matchSet.myVote ? "Waiting…" : next;
+        $("#btnRematch").disabled = matchSet.myVote || !Net.ready() || spectating;
+
+        let status = "";
+        if (!Net.ready()) status = "Disconnected.";
+        else if (matchSet.myVote && matchSet.theirVote) status = "Starting…";
+        else if (matchSet.myVote) status = `Waiting for ${them} to accept.`;
+        else if (matchSet.theirVote) status = `${them} wants to play again.`;
+        $("#rematchStatus").textContent = status;
+    }
+
+    function voteRematch() {
+        matchSet.myVote = true;
+        Net.send({ t: "rematch", vote: true });
+        updateRematchUI();
+        maybeStartRematch();
+    }
+
+    function onRematchVote(msg) {
+        if (msg.vote === false) {
+            // The other player went back to the lobby; the set is over.
+            resetSet();
+            $("#rematchStatus").textContent = `${remoteHello?.user || "Opponent"} went back to the lobby.`;
+            $("#btnRematch").disabled = true;
+            return;
+        }
+        matchSet.theirVote = true;
+        updateRematchUI();
+        maybeStartRematch();
+    }
+
+    function maybeStartRematch() {
+        // Both voted: the host kicks off the next game with a fresh seed.
+        if (!matchSet.myVote || !matchSet.theirVote || !Net.isHost()) return;
+        if (setOver()) Object.assign(matchSet, { game: 0, me: 0, them: 0 });
+        requestMatchStart();
+    }
+
+    // -----------------------------
+    // Chat and emotes
+    // -----------------------------
+    const chatLog = []; // { who, text, kind: "mine" | "theirs" | "system", emote }
+
+    function clearChat() {
+        chatLog.length = 0;
+        renderChat();
+    }
+
+    function addChatLine(line) {
+        chatLog.push(line);
+        if (chatLog.length > Chat.MAX_CHAT_LOG) chatLog.shift();
+        renderChat();
+    }
+
+    function renderChat() {
+        // Text only ever goes into textContent; see chat.mjs for the cleaning.
+        const log = $("#chatLog");
+        log.innerHTML = "";
+        for (const line of chatLog) {
+            const row = document.createElement("div");
+            row.className = `chatLine ${line.kind}${line.emote ? " emote" : ""}`;
+            if (line.who) {
+                const who = document.createElement("span");
+                who.className = "who";
+                who.textContent = line.who;
+                row.appendChild(who);
+            }
+            const text = document.createElement("span");
+            text.className = "text";
+            text.textContent = line.text;
+            row.appendChild(text);
+            log.appendChild(row);
+        }
+        log.scrollTop = log.scrollHeight;
+    }
+
+    function sendChat() {
+        const text = Chat.sanitizeChatText($("#chatInput").value);
+        $("#chatInput").value = "";
+        if (!text || !Net.ready()) return;
+        Net.send({ t: "chat", text });
+        addChatLine({ who: localHello?.user || "You", text, kind: "mine" });
+    }
+
+    function sendEmote(id) {
+        const text = Chat.emoteText(id);
+        if (!text || !Net.ready()) return;
+        Net.send({ t: "emote", id });
+        addChatLine({ who: localHello?.user || "You", text, kind: "mine", emote: true });
+    }
+
+    function onChatMessage(msg) {
+        if (spectating || !remoteHello || settings.chatMuted) return;
+        const emote = msg.t === "emote";
+        const text = emote ? Chat.emoteText(msg.id) : Chat.sanitizeChatText(msg.text);
+        if (!text) return;
+        addChatLine({ who: remoteHello.user, text, kind: "theirs", emote });
+        Audio.sfx.ui();
+    }
+
+    function wireChat() {
+        const wheel = $("#emoteWheel");
+        for (const e of Chat.EMOTES) {
+            const btn = document.createElement("button");
+            btn.className = "btn ghost";
+            btn.textContent = e.text;
+            btn.addEventListener("click", () => sendEmote(e.id));
+            wheel.appendChild(btn);
+        }
+
+        $("#btnChatSend").addEventListener("click", () => sendChat());
+        $("#chatInput").addEventListener("keydown", (e) => {
+            if (e.key === "Enter") sendChat();
+        });
+
+        $("#chatMuteToggle").checked = !!settings.chatMuted;
+        $("#chatMuteToggle").addEventListener("change", (e) => {
+            settings.chatMuted = !!e.target.checked;
+            saveSettings();
+            addChatLine({
+                text: settings.chatMuted ? "Opponent muted. Their messages are hidden." : "Opponent unmuted.",
+                kind: "system"
+            });
+        });
+    }
+
+    // -----------------------------
+    // Stalls and forfeits
+    // -----------------------------
+    // The sim stops when the other side's inputs stop arriving. After a moment
+    // an overlay counts the wait; after settings.stallTimeoutSec a player may
+    // keep waiting or claim the match. Spectators trail on purpose, so they
+    // only get the HUD's sync text.
+    //
+    // Lockstep can leave both sides waiting on each other, so both may claim
+    // at once. While the channel is open a claim is only final once the other
+    // side accepts it; crossing claims go to the host on both sides, and no
+    // answer within FORFEIT_ANSWER_MS means keep waiting. Only a closed channel
+    // wins without an answer. Leaving a match concedes it (`concede`).
+    const STALL_OVERLAY_SEC = 1;
+    const FORFEIT_ANSWER_MS = 5000;
+    let stallSeconds = 0;
+    let stallClaimAt = 0; // stall length at which the claim is offered
+    let pendingClaim = null; // { waited, timer }: our claim, sent and not answered yet
+
+    function onStall(seconds) {
+        stallSeconds = seconds;
+        if (seconds < STALL_OVERLAY_SEC || Game.mode !== "net") {
+            // Inputs flow again (or the match is over): an open claim is moot.
+            cancelClaim();
+            $("#stallOverlay").style.display = "none";
+            stallClaimAt = settings.stallTimeoutSec;
+            return;
+        }
+
+        $("#stallText").textContent = `Waiting for ${remoteHello?.user || "opponent"} (${Math.floor(seconds)}s)`;
+        const canClaim = seconds >= stallClaimAt && !pendingClaim;
+        $("#stallActions").style.display = canClaim ? "" : "none";
+        $("#stallHint").textContent = pendingClaim ? `Claiming the win; waiting for ${remoteHello?.user || "the opponent"} to confirm…`
+            : canClaim ? "They may have lost their connection. Keep waiting, or claim the win."
+                : `You can claim the win after ${stallClaimAt}s.`;
+        $("#stallOverlay").style.display = "";
+    }
+
+    function keepWaiting() {
+        stallClaimAt = Math.floor(stallSeconds) + settings.stallTimeoutSec;
+    }
+
+    // Ends the match as our win: result screen, set score and replay.
+    function winByForfeit(why) {
+        const winner = Game.localIndex;
+        if (!Game.forfeit(winner)) return false;
+        $("#stallOverlay").style.display = "none";
+        hideResumePanel();
+        Audio.sfx.ko();
+        onNetMatchResult({ winner, localIndex: winner, forfeit: why });
+        return true;
+    }
+
+    function claimForfeit() {
+        if (pendingClaim || !Game.netMatchLive) return;
+        const waited = Math.floor(stallSeconds);
+        if (!Net.ready()) {
+            winByForfeit(`Won by forfeit: ${remoteHello?.user || "the opponent"} sent no inputs for ${waited}s.`);
+            return;
+        }
+        Net.send({ t: "forfeit", waited });
+        pendingClaim = { waited, timer: setTimeout(() => settleClaim(false), FORFEIT_ANSWER_MS) };
+    }
+
+    function cancelClaim() {
+        if (!pendingClaim) return;
+        clearTimeout(pendingClaim.timer);
+        pendingClaim = null;
+    }
+
+    function settleClaim(won) {
+        if (!pendingClaim) return;
+        const { waited, timer } = pendingClaim;
+        clearTimeout(timer);
+        pendingClaim = null;
+        if (won) winByForfeit(`Won by forfeit: ${remoteHello?.user || "the opponent"} sent no inputs for ${waited}s.`);
+        else keepWaiting();
+    }
+
+    function onForfeitClaimed(msg) {
+        if (!Game.netMatchLive) return;
+        if (pendingClaim) {
+            // Both claimed at once: the host's claim stands, on both sides.
+            if (Net.isHost()) {
+                settleClaim(true);
+                return;
+            }
+            cancelClaim();
+        }
+        const winner = 1 - Game.localIndex;
+        if (!Game.forfeit(winner)) {
+            // Already decided here (a KO the claimant hasn't simulated yet): they keep playing.
+            Net.send({ t: "forfeit-no" });
+            return;
+        }
+        Net.send({ t: "forfeit-ok" });
+        $("#stallOverlay").style.display = "none";
+        onNetMatchResult({
+            winner,
+            localIndex: Game.localIndex,
+            forfeit: `Lost by forfeit: ${remoteHello?.user || "the opponent"} claimed the win after ${msg.waited | 0}s without your inputs.`
+        });
+    }
+
+    function onConceded() {
+        cancelClaim();
+        winByForfeit(`Won by forfeit: ${remoteHello?.user || "the opponent"} left the match.`);
+    }
+
+    function startSpectating(msg) {
+        setMatchInfo(`Seed ${Seed.formatSeed(msg.seed)}`);
+        UI.show("#screen-game");
+        Audio.resumeIfSuspended();
+        Audio.startMusic();
+        Game.startSpectate(msg, $("#gameCanvas"));
+    }
+
+    // Reconnect + resume: both peers announce the match they still hold; when
+    // seed matches and seats differ, both pick it up where the link dropped.
+    // A link that stays down counts as a stall: after settings.stallTimeoutSec
+    // the win can be claimed from the resume panel.
+    let disconnectedAt = 0;
+    let resumeClaimTimer = 0;
+
+    function suspendMatchOnDisconnect() {
+        // A claim can't be answered any more; the resume panel offers it again.
+        cancelClaim();
+        if (!Game.suspend()) return;
+        const info = Game.resumeInfo();
+        Audio.stopMusic();
+        $("#resumeText").textContent =
+            `Connection lost at frame ${info.confirmed + 1}. Reconnect with new codes, a room or the LAN list to resume the match.`;
+        $("#resumePanel").style.display = "";
+        $("#btnResumeClaim").style.display = "none";
+        disconnectedAt = now();
+        clearTimeout(resumeClaimTimer);
+        resumeClaimTimer = setTimeout(() => {
+            $("#btnResumeClaim").style.display = "";
+        }, settings.stallTimeoutSec * 1000);
+        UI.show("#screen-lobby");
+    }
+
+    function hideResumePanel() {
+        clearTimeout(resumeClaimTimer);
+        $("#resumePanel").style.display = "none";
+    }
+
+    function claimDisconnectForfeit() {
+        if (!Game.resumeInfo()) return;
+        const waited = Math.floor((now() - disconnectedAt) / 1000);
+        winByForfeit(`Won by forfeit: ${remoteHello?.user || "the opponent"} disconnected and didn't return for ${waited}s.`);
+    }
+
+    function offerResume() {
+        const info = Game.resumeInfo();
+        if (info) Net.send({ t: "resume", ...info });
+    }
+
+    function handleResume(msg) {
+        const mine = Game.resumeInfo();
+        if (!mine) {
+            Net.send({ t: "resume-no", reason: "The other player no longer has that match." });
+            return;
+        }
+        if ((msg.seed | 0) !== mine.seed || (msg.player | 0) === mine.player) {
+            Net.send({ t: "resume-no", reason: "The other player was in a different match." });
+            return;
+        }
+
+        // Both sides continue from their own state; the earlier confirmed frame is where they line up.
+        const from = Math.min(mine.confirmed, msg.confirmed | 0) + 1;
+        hideResumePanel();
+        setNetStatus(`connected (match resumed at frame ${from})`);
+        UI.show("#screen-game");
+        Audio.resumeIfSuspended();
+        Audio.startMusic();
+        Game.resume($("#gameCanvas"));
+    }
+
+    function abandonSuspendedMatch(reason) {
+        if (!Game.resumeInfo()) return;
+        Game.leave();
+        resetSet();
+        hideResumePanel();
+        if (reason) alert(`Can't resume the match. ${reason}`);
+    }
+
+    // Ping/pong about once a second, in the lobby and during matches. The host
+    // picks the match's input delay from it; in "adaptive" mode it may also
+    // move the delay mid-match at a frame both sides are told about.
+    const rtt = Latency.createRttTracker();
+    const PING_MS = 1000;
+    const DELAY_CHANGE_LEAD_FRAMES = 30;
+    const DELAY_CHANGE_MIN_MS = 5000;
+    let pingSeq = 0;
+    let lastDelayChange = 0;
+
+    function matchInputDelay() {
+        if (settings.delayMode === "fixed") return settings.inputDelayFrames;
+        const rec = Latency.recommendDelayFrames(rtt.stats(), { netcode: settings.netcode });
+        return rec == null ? settings.inputDelayFrames : rec;
+    }
+
+    function updatePingLabel() {
+        const s = rtt.stats();
+        $("#pingLabel").textContent = s ? `${Math.round(s.rtt)} ms ± ${Math.round(s.jitter)}` : "—";
+        Game.setPing(s ? s.rtt : null);
+    }
+
+    function maybeAdjustDelay() {
+        if (settings.delayMode !== "adaptive" || !Net.isHost()) return;
+        if (Game.mode !== "net" || !Game.isRunning()) return;
+        if (performance.now() - lastDelayChange < DELAY_CHANGE_MIN_MS) return;
+
+        const rec = Latency.recommendDelayFrames(rtt.stats(), { netcode: settings.netcode });
+        if (rec == null || rec === Game.inputDelay) return;
+        lastDelayChange = performance.now();
+        const f = Game.frame + DELAY_CHANGE_LEAD_FRAMES;
+        Net.send({ t: "delay", f, d: rec });
+        Game.scheduleDelayChange(f, rec);
+    }
+
+    function startPinging() {
+        setInterval(() => {
+            if (!Net.ready()) return;
+            Net.send({ t: "ping", id: ++pingSeq, ts: performance.now() });
+            maybeAdjustDelay();
+        }, PING_MS);
+    }
+
+    function welcomeSpectator(id) {
+        Net.sendToSpectator(id, { t: "role", role: "spectator", compat: LOCAL_COMPAT });
+        // Joining mid-match: send the start payload and everything forwarded so far.
+        if (currentStart && Game.mode === "net" && Game.isRunning()) {
+            Net.sendToSpectator(id, { ...currentStart, t: "spec-start" });
+            Game.sendSpectatorBacklog(id);
+        }
+    }
+
+    // -----------------------------
+    // Replays screen
+    // -----------------------------
+    function replayTitle(r) {
+        const [a, b] = r.players;
+        return `${a.user} (${a.char.name}) vs ${b.user} (${b.char.name})`;
+    }
+
+    function replayResultText(r) {
+        if (r.winner == null && r.forfeit != null) return `${r.players[r.forfeit].user} wins by forfeit`;
+        if (r.winner == null) return "no KO";
+        return `${r.players[r.winner].user} wins`;
+    }
+
+    function listRow(title, sub, buttons) {
+        const row = document.createElement("div");
+        row.className = "listRow";
+
+        const info = document.createElement("div");
+        const t = document.createElement("div");
+        t.textContent = title;
+        const st = document.createElement("div");
+        st.className = "muted tiny";
+        st.textContent = sub;
+        info.append(t, st);
+
+        const actions = document.createElement("div");
+        actions.className = "row";
+        for (const [label, onClick] of buttons) {
+            const btn = document.createElement("button");
+            btn.className = "btn";
+            btn.textContent = label;
+            btn.addEventListener("click", () => { Audio.sfx.ui(); onClick(); });
+            actions.appendChild(btn);
+        }
+
+        row.append(info, actions);
+        return row;
+    }
+
+    async function refreshReplayList() {
+        const list = $("#replayList");
+        list.innerHTML = "";
+        $("#replayError").style.display = "none";
+
+        if (!Replays.available()) {
+            list.textContent = "Replay files are only available in the desktop app.";
+            return;
+        }
+
+        const names = await Replays.list();
+        if (!names.length) {
+            list.textContent = "No replays yet. Finish a netplay match to record one.";
+            return;
+        }
+
+        for (const name of names) {
+            const remove = async () => {
+                if (!confirm("Delete this replay?")) return;
+                await Replays.remove(name);
+                refreshReplayList();
+            };
+
+            let r;
+            try {
+                r = await Replays.load(name);
+            } catch (e) {
+                list.appendChild(listRow(name, `Unreadable: ${e?.message || e}`, [["Delete", remove]]));
+                continue;
+            }
+
+            const when = r.createdAt ? new Date(r.createdAt).toLocaleString() : name;
+            list.appendChild(listRow(
+                replayTitle(r),
+                `${when} • ${fmtFrames(r.frames)} • ${replayResultText(r)}`,
+                [
+                    ["Watch", () => watchReplay(r)],
+                    ["Export", async () => downloadText(name, await window.ReplayFiles.read(name), "application/json")],
+                    ["Delete", remove]
+                ]
+            ));
+        }
+    }
+
+    // -----------------------------
+    // Local versus
+    // -----------------------------
+    // Two players on one keyboard, or one against the CPU; no Net involved.
+    // Handy for trying a freshly imported character.
+    function openLocalVersus() {
+        const chars = listCharacters();
+        const active = getActiveCharacter();
+        const other = chars.find(c => c.id !== active?.id) || active;
+        for (const [side, pick] of [["P1", active], ["P2", other]]) {
+            const select = $(`#local${side}Select`);
+            const keep = select.value;
+            select.innerHTML = "";
+            for (const c of chars) {
+                const opt = document.createElement("option");
+                opt.value = c.id;
+                opt.textContent = c.name;
+                select.appendChild(opt);
+            }
+            // Keep the previous picks while they still exist.
+            select.value = chars.some(c => c.id === keep) ? keep : (pick?.id || "");
+        }
+        $("#localOpponentSelect").value = settings.localOpponent;
+        renderLocalPicks();
+        UI.show("#screen-local");
+    }
+
+    function localPick(side) {
+        return listCharacters().find(c => c.id === $(`#local${side}Select`).value) || null;
+    }
+
+    function renderLocalPicks() {
+        for (const side of ["P1", "P2"]) {
+            const c = localPick(side);
+            $(`#local${side}Summary`).textContent = c ? characterSummaryText(c) : "No characters saved.";
+        }
+        const human = settings.localOpponent === "human";
+        $("#localP1Keys").textContent = human
+            ? "A/D move • W jump • S block • F punch • G kick • H special"
+            : "A/D move • W jump • S block • J punch • K kick • L special";
+        $("#localP2Keys").textContent = human
+            ? "←/→ move • ↑ jump • ↓ block • , punch • . kick • / special"
+            : `Played by the CPU (${settings.localOpponent}).`;
+        $("#btnLocalStart").disabled = !localPick("P1") || !localPick("P2");
+        $("#btnTrainingStart").disabled = $("#btnLocalStart").disabled;
+    }
+
+    function startLocalMatch() {
+        const p1Char = localPick("P1");
+        const p2Char = localPick("P2");
+        if (!p1Char || !p2Char) return;
+        clearTournamentMatch();
+        const seed = crypto.getRandomValues(new Int32Array(1))[0] || 1;
+        const cpuLevel = settings.localOpponent in AI.CPU_LEVELS ? settings.localOpponent : null;
+
+        setMatchInfo(`${cpuLevel ? `CPU (${cpuLevel})` : "Local versus"} · seed ${Seed.formatSeed(seed)}`);
+        UI.show("#screen-game");
+        Audio.resumeIfSuspended();
+        Audio.startMusic();
+        Game.startLocal({
+            seed,
+            p1Char,
+            p2Char,
+            p1Name: Storage.get(KEYS.username, "Player 1"),
+            p2Name: cpuLevel ? `CPU (${cpuLevel})` : "Player 2",
+            cpuLevel,
+            rules: matchRules()
+        }, $("#gameCanvas"));
+    }
+
+    function onLocalMatchResult({ winner, names }) {
+        const title = winner == null ? "Draw" : `${names[winner]} wins`;
+        if (!tournamentMatch) {
+            UI.showResult({ title, sub: "Local versus. Rematch keeps the same characters." });
+            return;
+        }
+        // P1 is the bracket match's first entrant.
+        const { a, b } = tournamentMatch;
+        const sub = winner == null ? "Draw. Play it again to settle the bracket match." : recordTournamentResult(winner === 0 ? a : b);
+        UI.showResult({ title, sub });
+        if (tournamentMatch?.recorded) $("#btnRematch").textContent = "Bracket";
+    }
+
+    function startTrainingMatch() {
+        const p1Char = localPick("P1");
+        const p2Char = localPick("P2");
+        if (!p1Char || !p2Char) return;
+
+        setMatchInfo("Training · 1 reset • 2 save state • 3 load state • 4 pause • 5 step");
+        UI.show("#screen-game");
+        Audio.resumeIfSuspended();
+        Game.startTraining({
+            seed: 1,
+            p1Char,
+            p2Char,
+            p1Name: Storage.get(KEYS.username, "Player 1"),
+            p2Name: "Dummy"
+        }, $("#gameCanvas"));
+        Game.setTraining({
+            dummy: $("#dummySelect").value,
+            infiniteHp: $("#infiniteHpToggle").checked,
+            infiniteMeter: $("#infiniteMeterToggle").checked
+        });
+        Game.setSpeed($("#trainingSpeed").value);
+    }
+
+    function trainingHotkey(code) {
+        const actions = {
+            Digit1: () => Game.resetTrainingPosition(),
+            Digit2: () => Game.saveTrainingState(),
+            Digit3: () => Game.loadTrainingState(),
+            Digit4: () => Game.setPaused(!Game.isPaused()),
+            Digit5: () => Game.stepOnce()
+        };
+        if (!actions[code]) return false;
+        actions[code]();
+        return true;
+    }
+
+    function watchReplay(r) {
+        setMatchInfo(`Replay · seed ${Seed.formatSeed(r.seed)}`);
+        UI.show("#screen-game");
+        Audio.resumeIfSuspended();
+        $("#replaySpeed").value = "1";
+        Game.startReplay(r, $("#gameCanvas"));
+    }
+
+    // -----------------------------
+    // Tournament
+    // -----------------------------
+    // Entrants carry a copy of their character, so editing or deleting a saved
+    // character later doesn't change a bracket in progress. The bracket lives
+    // in localStorage; results come in from the match result (local or netplay).
+    let tournament = loadTournament();  // { entrants: [{ user, char }], bracket }
+    let tournamentMatch = null;         // bracket match being played: { id, a, b, local, peer, recorded }
+
+    function loadTournament() {
+        const t = Storage.get(KEYS.tournament, null) || {};
+        const loaded = { entrants: Array.isArray(t.entrants) ? t.entrants : [], bracket: t.bracket || null };
+        try {
+            if (loaded.bracket) Bracket.resolveBracket(loaded.bracket);
+        } catch {
+            loaded.bracket = null;
+        }
+        return loaded;
+    }
+
+    function saveTournament() {
+        Storage.set(KEYS.tournament, tournament);
+    }
+
+    function entrantName(i) {
+        if (i === Bracket.BYE) return "bye";
+        return i == null ? "TBD" : tournament.bracket.entrants[i].user;
+    }
+
+    function clearTournamentMatch() {
+        tournamentMatch = null;
+        $("#bracketMatchNote").style.display = "none";
+    }
+
+    function openTournament() {
+        clearTournamentMatch();
+        const select = $("#entrantCharSelect");
+        const keep = select.value;
+        select.innerHTML = "";
+        for (const c of listCharacters()) {
+            const opt = document.createElement("option");
+            opt.value = c.id;
+            opt.textContent = c.name;
+            select.appendChild(opt);
+        }
+        if (keep) select.value = keep;
+        $("#tournamentError").style.display = "none";
+        renderTournament();
+        UI.show("#screen-tournament");
+    }
+
+    function addEntrant() {
+        const user = $("#entrantNameInput").value.trim();
+        const char = listCharacters().find(c => c.id === $("#entrantCharSelect").value);
+        if (!user) return UI.toastErr($("#tournamentError"), "Enter a name.");
+        if (!char) return UI.toastErr($("#tournamentError"), "Save a character first.");
+        if (tournament.entrants.length >= Bracket.MAX_ENTRANTS) {
+            return UI.toastErr($("#tournamentError"), `A bracket takes at most ${Bracket.MAX_ENTRANTS} entrants.`);
+        }
+        if (tournament.entrants.some(e => e.user.toLowerCase() === user.toLowerCase())) {
+            return UI.toastErr($("#tournamentError"), `${user} is already entered.`);
+        }
+        tournament.entrants.push({ user, char });
+        saveTournament();
+        $("#entrantNameInput").value = "";
+        $("#tournamentError").style.display = "none";
+        renderTournament();
+    }
+
+    function createTournamentBracket() {
+        try {
+            tournament.bracket = Bracket.createBracket({
+                format: $("#bracketFormatSelect").value,
+                entrants: tournament.entrants
+            });
+        } catch (e) {
+            UI.toastErr($("#tournamentError"), String(e?.message || e));
+            return;
+        }
+        saveTournament();
+        $("#tournamentError").style.display = "none";
+        renderTournament();
+    }
+
+    function renderTournament() {
+        const { bracket, entrants } = tournament;
+        const locked = !!bracket;
+        for (const sel of ["#entrantNameInput", "#entrantCharSelect", "#btnAddEntrant", "#bracketFormatSelect", "#btnCreateBracket"]) {
+            $(sel).disabled = locked;
+        }
+        $("#btnExportBracket").disabled = !locked;
+        $("#btnResetBracket").disabled = !locked;
+
+        const list = $("#entrantList");
+        list.innerHTML = "";
+        entrants.forEach((e, i) => {
+            const remove = () => {
+                tournament.entrants.splice(i, 1);
+                saveTournament();
+                renderTournament();
+            };
+            list.appendChild(listRow(`${i + 1}. ${e.user}`, e.char.name, locked ? [] : [["Remove", remove]]));
+        });
+        if (!entrants.length) list.textContent = "No entrants yet.";
+
+        const view = $("#bracketList");
+        view.innerHTML = "";
+        if (!bracket) {
+            $("#bracketStatus").textContent = "No bracket yet.";
+            return;
+        }
+
+        const { matches, champion } = Bracket.resolveBracket(bracket);
+        const left = matches.filter(m => m.status === "ready" || m.status === "waiting").length;
+        $("#bracketStatus").textContent = champion != null
+            ? `${entrantName(champion)} wins the tournament.`
+            : `${bracket.format === "double" ? "Double" : "Single"} elimination · ${left} match${left === 1 ? "" : "es"} left`;
+
+        for (const m of matches) {
+            if (m.status === "bye" || m.status === "skipped") continue;
+            const title = `${Bracket.matchLabel(m, bracket)}: ${entrantName(m.a)} vs ${entrantName(m.b)}`;
+            const sub = m.status === "done" ? `${entrantName(m.winner)} won`
+                : m.status === "ready" ? "Ready to play"
+                    : "Waiting for earlier matches";
+            const buttons = m.status !== "ready" ? [] : [
+                ["Play Local", () => playTournamentLocal(m)],
+                [`Netplay as ${entrantName(m.a)}`, () => playTournamentNet(m, m.a)],
+                [`Netplay as ${entrantName(m.b)}`, () => playTournamentNet(m, m.b)]
+            ];
+            const row = listRow(title, sub, buttons);
+            if (m.status === "done") row.classList.add("done");
+            view.appendChild(row);
+        }
+    }
+
+    function playTournamentLocal(m) {
+        const [p1, p2] = [m.a, m.b].map(i => tournament.bracket.entrants[i]);
+        tournamentMatch = { id: m.id, a: m.a, b: m.b, local: null, peer: null, recorded: false };
+
+        const seed = crypto.getRandomValues(new Int32Array(1))[0] || 1;
+        setMatchInfo(`Tournament · ${Bracket.matchLabel(m, tournament.bracket)} · seed ${Seed.formatSeed(seed)}`);
+        UI.show("#screen-game");
+        Audio.resumeIfSuspended();
+        Audio.startMusic();
+        Game.startLocal({
+            seed,
+            p1Char: p1.char,
+            p2Char: p2.char,
+            p1Name: p1.user,
+            p2Name: p2.user,
+            rules: matchRules()
+        }, $("#gameCanvas"));
+    }
+
+    function playTournamentNet(m, local) {
+        // This computer plays `local`'s side; the lobby uses the active character.
+        const entrant = tournament.bracket.entrants[local];
+        if (!listCharacters().some(c => c.id === entrant.char.id)) {
+            UI.toastErr($("#tournamentError"), `${entrant.char.name} isn't saved on this computer. Import it first.`);
+            return;
+        }
+        tournamentMatch = { id: m.id, a: m.a, b: m.b, local, peer: null, recorded: false };
+        setActiveCharId(entrant.char.id);
+        refreshCharUI();
+        // Already connected: that peer is the opponent (onActiveCharacterChanged re-sends our hello).
+        if (remoteHello && !spectating) tournamentMatch.peer = remoteHello.user;
+        onActiveCharacterChanged();
+        renderBracketMatchNote();
+        $("#bracketMatchNote").style.display = "block";
+        UI.show("#screen-lobby");
+        startLanDiscovery();
+    }
+
+    function renderBracketMatchNote() {
+        const { a, b, local, peer, id } = tournamentMatch;
+        const m = Bracket.findMatch(tournament.bracket, id);
+        const against = peer ? `, playing ${peer} over netplay` : "";
+        $("#bracketMatchNote").textContent =
+            `Tournament: ${entrantName(local)} vs ${entrantName(local === a ? b : a)} (${Bracket.matchLabel(m, tournament.bracket)}${against}). ` +
+            "The result goes into the bracket.";
+    }
+
+    // A netplay bracket match belongs to the first peer that says hello after it
+    // was picked; results against anyone else never reach the bracket.
+    function bindTournamentPeer(user) {
+        if (!tournamentMatch || tournamentMatch.local == null || tournamentMatch.peer) return;
+        tournamentMatch.peer = user;
+        renderBracketMatchNote();
+    }
+
+    // The connection a bound match was played on is gone for good.
+    function dropTournamentPeer() {
+        if (tournamentMatch?.peer && !Game.resumeInfo()) clearTournamentMatch();
+    }
+
+    // Records `winner` (an entrant index) for the match being played and says what it did.
+    function recordTournamentResult(winner) {
+        try {
+            tournament.bracket = Bracket.recordResult(tournament.bracket, tournamentMatch.id, winner);
+        } catch (e) {
+            clearTournamentMatch();
+            return `Not recorded in the bracket: ${e?.message || e}`;
+        }
+        saveTournament();
+        tournamentMatch.recorded = true;
+        $("#bracketMatchNote").style.display = "none";
+
+        const { champion } = Bracket.resolveBracket(tournament.bracket);
+        return champion != null
+            ? `${entrantName(champion)} wins the tournament!`
+            : `${entrantName(winner)} advances in the bracket.`;
+    }
+
+    function onNetTournamentResult(youWin) {
+        // Called once the game (or the whole set) is decided; null = drawn game.
+        if (!tournamentMatch || tournamentMatch.local == null || tournamentMatch.recorded || youWin == null) return "";
+        if (!tournamentMatch.peer || tournamentMatch.peer !== remoteHello?.user) return "";
+        const { a, b, local } = tournamentMatch;
+        const text = recordTournamentResult(youWin ? local : (local === a ? b : a));
+        clearTournamentMatch();
+        return text;
+    }
+
+    // -----------------------------
+    // LAN discovery (main process broadcasts; see main.js)
+    // -----------------------------
+    const Lan = {
+        available() { return !!window.LanDiscovery; },
+        hostId: null, // id of the Offer we announce, while waiting for an Answer
+        lobbies: []
+    };
+
+    function renderLanList() {
+        const list = $("#lanList");
+        list.innerHTML = "";
+        $("#lanEmpty").style.display = Lan.lobbies.length ? "none" : "";
+        for (const lobby of Lan.lobbies) {
+            const sub = `${lobby.char || "?"} · ${lobby.address}`;
+            list.appendChild(listRow(lobby.user, sub, [["Join", () => joinLanLobby(lobby)]]));
+        }
+    }
+
+    async function startLanDiscovery() {
+        if (!Lan.available()) return;
+        Lan.lobbies = await window.LanDiscovery.start();
+        renderLanList();
+    }
+
+    function announceLanOffer(offer) {
+        if (!Lan.available()) return;
+        Lan.hostId = crypto.randomUUID();
+        window.LanDiscovery.host({
+            id: Lan.hostId,
+            user: Storage.get(KEYS.username, "Player"),
+            char: getActiveCharacter()?.name || "",
+            offer
+        });
+    }
+
+    function stopLanHosting() {
+        if (!Lan.available() || !Lan.hostId) return;
+        Lan.hostId = null;
+        window.LanDiscovery.stopHosting();
+    }
+
+    async function joinLanLobby(lobby) {
+        Audio.resumeIfSuspended();
+        stopLanHosting();
+        cancelRoomPoll();
+        resetLobbyNetState();
+        $("#offerIn").value = lobby.offer;
+        try {
+            const ans = await Net.createAnswerCode(lobby.offer);
+            UI.setCode("#answerOut", "#answerQr", ans);
+            await window.LanDiscovery.answer(lobby.id, ans);
+            setNetStatus(`answer sent to ${lobby.user} over the LAN`);
+        } catch (e) {
+            alert(String(e?.message || e));
+        }
+    }
+
+    async function acceptLanAnswer(msg) {
+        // Only the Answer to the Offer we're currently announcing, and only once.
+        if (!Lan.hostId || msg.id !== Lan.hostId || Net.ready()) return;
+        stopLanHosting();
+        $("#answerIn").value = msg.answer;
+        try {
+            await Net.acceptAnswerCode(msg.answer);
+        } catch (e) {
+            alert(String(e?.message || e));
+        }
+    }
+
+    function wireLan() {
+        if (!Lan.available()) {
+            $("#lanPanel").style.display = "none";
+            return;
+        }
+        window.LanDiscovery.onLobbies((list) => {
+            Lan.lobbies = Array.isArray(list) ? list : [];
+            renderLanList();
+        });
+        window.LanDiscovery.onAnswer((msg) => { acceptLanAnswer(msg); });
+        window.LanDiscovery.onStatus((status) => {
+            if (status?.ok) $("#lanError").style.display = "none";
+            else UI.toastErr($("#lanError"), String(status?.error || "LAN discovery is off."));
+        });
+        $("#lanAnnounceToggle").checked = !!settings.lanAnnounce;
+        $("#lanAnnounceToggle").addEventListener("change", (e) => {
+            settings.lanAnnounce = !!e.target.checked;
+            saveSettings();
+            if (!settings.lanAnnounce) stopLanHosting();
+        });
+    }
+
+    // -----------------------------
+    // Room codes (optional signaling server, see server/signaling.mjs)
+    // -----------------------------
+    let roomPoll = null; // AbortController for the Host's answer poll
+
+    async function roomRequest(path, { method = "GET", body, signal } = {}) {
+        const base = String(settings.signalingUrl || "").trim().replace(/\/+$/, "");
+        let res;
+        try {
+            res = await fetch(`${base}${path}`, {
+                method,
+                signal,
+                headers: body ? { "Content-Type": "application/json" } : undefined,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (e) {
+            if (e?.name === "AbortError") throw e;
+            throw new Error(`Can't reach the signaling server at ${base || "(none)"}. Check the URL in Settings.`);
+        }
+        if (res.status === 204) return null;
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `Signaling server error ${res.status}.`);
+        return data;
+    }
+
+    function cancelRoomPoll() {
+        roomPoll?.abort();
+        roomPoll = null;
+        $("#roomCodeOut").textContent = "—";
+    }
+
+    async function hostRoom() {
+        cancelRoomPoll();
+        stopLanHosting();
+        resetLobbyNetState();
+
+        const offer = await Net.createOfferCode({ inputTransport: settings.inputTransport });
+        UI.setCode("#offerOut", "#offerQr", offer);
+        $("#answerIn").value = "";
+        const { code } = await roomRequest("/rooms", { method: "POST", body: { offer } });
+        $("#roomCodeOut").textContent = code;
+        setNetStatus(`room ${code} open (waiting for a joiner)`);
+
+        const poll = new AbortController();
+        roomPoll = poll;
+        while (roomPoll === poll) {
+            const res = await roomRequest(`/rooms/${code}/answer`, { signal: poll.signal });
+            if (!res) continue; // long poll timed out; ask again
+            roomPoll = null;
+            $("#answerIn").value = res.answer;
+            await Net.acceptAnswerCode(res.answer);
+        }
+    }
+
+    async function joinRoom(input) {
+        const code = String(input || "").trim().toUpperCase();
+        if (!/^[A-Z0-9]{6}$/.test(code)) throw new Error("Room codes are 6 letters and digits.");
+        cancelRoomPoll();
+        stopLanHosting();
+        resetLobbyNetState();
+
+        const { offer } = await roomRequest(`/rooms/${code}`);
+        $("#offerIn").value = offer;
+        const ans = await Net.createAnswerCode(offer);
+        UI.setCode("#answerOut", "#answerQr", ans);
+        await roomRequest(`/rooms/${code}/answer`, { method: "POST", body: { answer: ans } });
+        setNetStatus(`joined room ${code} (connecting...)`);
+    }
+
+    // -----------------------------
+    // Wire UI events
+    // -----------------------------
+    function wireUI() {
+        // Global nav
+        $("#btnHome").addEventListener("click", () => {
+            Audio.sfx.ui();
+            // Leaving for home drops a bracket match that hasn't been played yet.
+            clearTournamentMatch();
+            UI.show("#screen-home");
+        });
+        $("#btnSettings").addEventListener("click", () => { Audio.sfx.ui(); UI.openSettings(true); });
+        $("#btnCloseSettings").addEventListener("click", () => { Audio.sfx.ui(); UI.openSettings(false); });
+
+        // Settings controls
+        $("#volRange").value = String(Math.round(settings.volume * 100));
+        $("#musicToggle").checked = !!settings.music;
+        $("#sfxToggle").checked = !!settings.sfx;
+        $("#delayRange").value = String(settings.inputDelayFrames);
+        $("#delayModeSelect").value = settings.delayMode;
+        $("#netcodeSelect").value = settings.netcode;
+        $("#transportSelect").value = settings.inputTransport;
+        $("#signalUrlInput").value = settings.signalingUrl;
+        $("#iceServersInput").value = Ice.formatIceServers(settings.iceServers);
+        $("#iceHostOnlyToggle").checked = !!settings.iceHostOnly;
+        $("#specDelayRange").value = String(settings.spectatorDelaySec);
+        $("#stallTimeoutRange").value = String(settings.stallTimeoutSec);
+        UI.updateSettingsLabels();
+
+        $("#volRange").addEventListener("input", (e) => {
+            settings.volume = Number(e.target.value) / 100;
+            saveSettings();
+        });
+        $("#musicToggle").addEventListener("change", (e) => {
+            settings.music = !!e.target.checked;
+            saveSettings();
+            if (settings.music) Audio.startMusic(); else Audio.stopMusic();
+        });
+        $("#sfxToggle").addEventListener("change", (e) => {
+            settings.sfx = !!e.target.checked;
+            saveSettings();
+        });
+        $("#delayModeSelect").addEventListener("change", (e) => {
+            settings.delayMode = ["fixed", "auto", "adaptive"].includes(e.target.value) ? e.target.value : "auto";
+            saveSettings();
+        });
+        $("#delayRange").addEventListener("input", (e) => {
+            settings.inputDelayFrames = Number(e.target.value) | 0;
+            saveSettings();
+        });
+        $("#netcodeSelect").addEventListener("change", (e) => {
+            settings.netcode = e.target.value === "rollback" ? "rollback" : "lockstep";
+            saveSettings();
+        });
+        $("#btnIceApply").addEventListener("click", () => {
+            Audio.sfx.ui();
+            $("#iceError").style.display = "none";
+            const r = Ice.parseIceServers($("#iceServersInput").value);
+            if (!r.ok) return UI.toastErr($("#iceError"), r.errors.join(" "));
+            settings.iceServers = r.servers;
+            saveSettings();
+            $("#iceServersInput").value = Ice.formatIceServers(settings.iceServers);
+            UI.toastOk($("#iceOk"), `Saved ${r.servers.length} ICE server(s). Used for the next Offer/Answer.`);
+        });
+        $("#iceHostOnlyToggle").addEventListener("change", (e) => {
+            settings.iceHostOnly = !!e.target.checked;
+            saveSettings();
+        });
+        $("#signalUrlInput").addEventListener("change", (e) => {
+            settings.signalingUrl = e.target.value.trim();
+            saveSettings();
+        });
+        $("#transportSelect").addEventListener("change", (e) => {
+            settings.inputTransport = e.target.value === "unreliable" ? "unreliable" : "reliable";
+            saveSettings();
+        });
+        $("#specDelayRange").addEventListener("input", (e) => {
+            settings.spectatorDelaySec = Number(e.target.value) | 0;
+            saveSettings();
+        });
+        $("#stallTimeoutRange").addEventListener("input", (e) => {
+            settings.stallTimeoutSec = Math.max(5, Number(e.target.value) | 0);
+            saveSettings();
+        });
+        $("#roundsSelect").value = String(settings.roundsToWin);
+        $("#roundsSelect").addEventListener("change", (e) => {
+            settings.roundsToWin = Math.max(1, Number(e.target.value) | 0);
+            saveSettings();
+        });
+        $("#roundTimeSelect").value = String(settings.roundSeconds);
+        $("#roundTimeSelect").addEventListener("change", (e) => {
+            settings.roundSeconds = Math.max(0, Number(e.target.value) | 0);
+            saveSettings();
+        });
+
+        $("#btnResetStorage").addEventListener("click", () => {
+            if (!confirm("Reset all local storage (username, characters, settings)?")) return;
+            localStorage.clear();
+            location.reload();
+        });
+
+        // Username flow
+        $("#btnUsernameContinue").addEventListener("click", () => {
+            Audio.resumeIfSuspended();
+            Audio.sfx.ui();
             const u = $("#usernameInput").value.trim();
             if (!u) return;
             Storage.set(KEYS.username, u);
@@ -2094,7 +3782,65 @@ Now output the JSON.`.trim();
         // Home navigation
         $("#btnGoPrompt").addEventListener("click", () => { Audio.sfx.ui(); UI.show("#screen-prompt"); });
         $("#btnGoImport").addEventListener("click", () => { Audio.sfx.ui(); refreshCharUI(); UI.show("#screen-import"); });
-        $("#btnGoLobby").addEventListener("click", () => { Audio.sfx.ui(); updateActiveCharLabel(); UI.show("#screen-lobby"); });
+        $("#btnGoLobby").addEventListener("click", () => {
+            Audio.sfx.ui();
+            updateActiveCharLabel();
+            UI.show("#screen-lobby");
+            startLanDiscovery();
+        });
+        $("#btnGoLocal").addEventListener("click", () => { Audio.sfx.ui(); openLocalVersus(); });
+        $("#btnLocalStart").addEventListener("click", () => { Audio.sfx.ui(); startLocalMatch(); });
+        $("#btnTrainingStart").addEventListener("click", () => { Audio.sfx.ui(); startTrainingMatch(); });
+        for (const side of ["P1", "P2"]) {
+            $(`#local${side}Select`).addEventListener("change", () => renderLocalPicks());
+        }
+        $("#localOpponentSelect").addEventListener("change", (e) => {
+            const v = e.target.value;
+            settings.localOpponent = v in AI.CPU_LEVELS ? v : "human";
+            saveSettings();
+            renderLocalPicks();
+        });
+        $("#btnGoReplays").addEventListener("click", () => { Audio.sfx.ui(); refreshReplayList(); UI.show("#screen-replays"); });
+
+        // Tournament
+        $("#btnGoTournament").addEventListener("click", () => { Audio.sfx.ui(); openTournament(); });
+        $("#btnAddEntrant").addEventListener("click", () => { Audio.sfx.ui(); addEntrant(); });
+        $("#entrantNameInput").addEventListener("keydown", (e) => {
+            if (e.key === "Enter") addEntrant();
+        });
+        $("#btnCreateBracket").addEventListener("click", () => { Audio.sfx.ui(); createTournamentBracket(); });
+        $("#btnExportBracket").addEventListener("click", () => {
+            Audio.sfx.ui();
+            const out = Bracket.exportBracket(tournament.bracket, (e) => ({ user: e.user, char: e.char.name }));
+            downloadJson(`cgf-bracket-${new Date().toISOString().slice(0, 10)}.json`, {
+                app: "chatgpt-fighter",
+                exportedAt: new Date().toISOString(),
+                ...out
+            });
+        });
+        $("#btnResetBracket").addEventListener("click", () => {
+            Audio.sfx.ui();
+            if (!confirm("Discard the bracket and its results? Entrants are kept.")) return;
+            tournament.bracket = null;
+            saveTournament();
+            renderTournament();
+        });
+
+        // Replays
+        $("#btnImportReplay").addEventListener("click", () => { Audio.sfx.ui(); $("#replayFileIn").click(); });
+        $("#replayFileIn").addEventListener("change", async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (!file) return;
+            try {
+                // Keep the validated, normalized replay rather than the file as given.
+                const r = parseReplayText(await file.text());
+                await Replays.save(ReplayCodec.buildReplay(r), { unique: true });
+                refreshReplayList();
+            } catch (err) {
+                UI.toastErr($("#replayError"), String(err?.message || err));
+            }
+        });
 
         // Prompt generator
         $("#btnGeneratePrompt").addEventListener("click", () => {
@@ -2161,7 +3907,7 @@ Now output the JSON.`.trim();
             const id = $("#charSelect").value;
             if (!id) return;
             setActiveCharId(id);
-            updateActiveCharLabel();
+            onActiveCharacterChanged();
             UI.toastOk($("#importOk"), "Active character set.");
         });
 
@@ -2174,7 +3920,7 @@ Now output the JSON.`.trim();
             saveCharacters(chars);
             if (getActiveCharId() === id) setActiveCharId(chars[0]?.id || null);
             refreshCharUI();
-            updateActiveCharLabel();
+            onActiveCharacterChanged();
         });
 
         $("#btnExportChar").addEventListener("click", async () => {
@@ -2190,10 +3936,12 @@ Now output the JSON.`.trim();
         $("#btnHostCreateOffer").addEventListener("click", async () => {
             Audio.resumeIfSuspended();
             Audio.sfx.ui();
+            cancelRoomPoll();
             resetLobbyNetState();
             try {
-                const offer = await Net.createOfferCode();
-                $("#offerOut").value = offer;
+                const offer = await Net.createOfferCode({ inputTransport: settings.inputTransport });
+                UI.setCode("#offerOut", "#offerQr", offer);
+                if (settings.lanAnnounce) announceLanOffer(offer);
                 $("#answerIn").value = "";
             } catch (e) {
                 alert(String(e?.message || e));
@@ -2212,8 +3960,10 @@ Now output the JSON.`.trim();
 
         $("#btnHostReset").addEventListener("click", () => {
             Audio.sfx.ui();
-            $("#offerOut").value = "";
+            UI.setCode("#offerOut", "#offerQr", "");
             $("#answerIn").value = "";
+            stopLanHosting();
+            cancelRoomPoll();
             Net.reset();
             resetLobbyNetState();
             updateStartMatchEnabled();
@@ -2222,10 +3972,11 @@ Now output the JSON.`.trim();
         $("#btnJoinCreateAnswer").addEventListener("click", async () => {
             Audio.resumeIfSuspended();
             Audio.sfx.ui();
+            cancelRoomPoll();
             resetLobbyNetState();
             try {
                 const ans = await Net.createAnswerCode($("#offerIn").value.trim());
-                $("#answerOut").value = ans;
+                UI.setCode("#answerOut", "#answerQr", ans);
             } catch (e) {
                 alert(String(e?.message || e));
             }
@@ -2234,54 +3985,195 @@ Now output the JSON.`.trim();
         $("#btnJoinReset").addEventListener("click", () => {
             Audio.sfx.ui();
             $("#offerIn").value = "";
-            $("#answerOut").value = "";
+            UI.setCode("#answerOut", "#answerQr", "");
+            cancelRoomPoll();
             Net.reset();
             resetLobbyNetState();
             updateStartMatchEnabled();
         });
 
+        $("#btnAbandonMatch").addEventListener("click", () => {
+            Audio.sfx.ui();
+            abandonSuspendedMatch("");
+        });
+        $("#btnResumeClaim").addEventListener("click", () => {
+            Audio.sfx.ui();
+            claimDisconnectForfeit();
+        });
+
+        $("#btnRoomCreate").addEventListener("click", async () => {
+            Audio.resumeIfSuspended();
+            Audio.sfx.ui();
+            try {
+                await hostRoom();
+            } catch (e) {
+                if (e?.name !== "AbortError") alert(String(e?.message || e));
+            }
+        });
+
+        $("#btnRoomJoin").addEventListener("click", async () => {
+            Audio.resumeIfSuspended();
+            Audio.sfx.ui();
+            try {
+                await joinRoom($("#roomCodeIn").value);
+            } catch (e) {
+                alert(String(e?.message || e));
+            }
+        });
+
+        $("#btnSpectatorCreateOffer").addEventListener("click", async () => {
+            Audio.resumeIfSuspended();
+            Audio.sfx.ui();
+            try {
+                UI.setCode("#spectatorOfferOut", "#spectatorOfferQr", await Net.createSpectatorOfferCode());
+                $("#spectatorAnswerIn").value = "";
+            } catch (e) {
+                alert(String(e?.message || e));
+            }
+        });
+
+        $("#btnSpectatorAccept").addEventListener("click", async () => {
+            Audio.sfx.ui();
+            try {
+                await Net.acceptSpectatorAnswerCode($("#spectatorAnswerIn").value.trim());
+                UI.setCode("#spectatorOfferOut", "#spectatorOfferQr", "");
+                $("#spectatorAnswerIn").value = "";
+            } catch (e) {
+                alert(String(e?.message || e));
+            }
+        });
+
         $("#btnDisconnect").addEventListener("click", () => {
             Audio.sfx.ui();
             Net.reset();
+            clearTournamentMatch();
             resetLobbyNetState();
             updateStartMatchEnabled();
         });
 
+        $("#lobbyCharSelect").addEventListener("change", (e) => {
+            Audio.sfx.ui();
+            if (!listCharacters().some(c => c.id === e.target.value)) return;
+            setActiveCharId(e.target.value);
+            refreshCharUI();
+            onActiveCharacterChanged();
+        });
+        $("#btnReady").addEventListener("click", () => {
+            Audio.sfx.ui();
+            setReady(!ready.me);
+        });
+
+        $("#bestOfSelect").value = String(settings.bestOf);
+        $("#bestOfSelect").addEventListener("change", (e) => {
+            const n = Number(e.target.value);
+            settings.bestOf = [1, 3, 5, 7].includes(n) ? n : 1;
+            saveSettings();
+        });
+        $("#swapSidesToggle").checked = !!settings.swapSides;
+        $("#swapSidesToggle").addEventListener("change", (e) => {
+            settings.swapSides = !!e.target.checked;
+            saveSettings();
+        });
+
         $("#btnStartMatch").addEventListener("click", () => {
             Audio.sfx.ui();
+            if (spectating) {
+                alert("Spectators watch the Host's matches; they can't start one.");
+                return;
+            }
             if (!Net.isHost()) {
                 alert("Only the Host starts the match (for a single deterministic seed).");
                 return;
             }
-            startMatchAsHost();
+            requestMatchStart();
         });
 
         // Match controls
         $("#btnLeaveMatch").addEventListener("click", () => {
             Audio.sfx.ui();
-            Game.stop();
+            if (Game.mode === "replay") {
+                Game.stop();
+                refreshReplayList();
+                UI.show("#screen-replays");
+                return;
+            }
+            if (Game.mode === "local" || Game.mode === "training") {
+                Game.leave();
+                Audio.stopMusic();
+                openLocalVersus();
+                return;
+            }
+            cancelLaunch();
+            // Tell the other side right away instead of leaving them to a stall claim.
+            if (Game.leave() && Net.ready()) Net.send({ t: "concede" });
             Audio.stopMusic();
             UI.show("#screen-lobby");
         });
 
+        // Training controls
+        $("#dummySelect").addEventListener("change", (e) => Game.setTraining({ dummy: e.target.value }));
+        $("#infiniteHpToggle").addEventListener("change", (e) => Game.setTraining({ infiniteHp: e.target.checked }));
+        $("#infiniteMeterToggle").addEventListener("change", (e) => Game.setTraining({ infiniteMeter: e.target.checked }));
+        $("#btnTrainingReset").addEventListener("click", () => { Audio.sfx.ui(); trainingHotkey("Digit1"); });
+        $("#btnSaveState").addEventListener("click", () => { Audio.sfx.ui(); trainingHotkey("Digit2"); });
+        $("#btnLoadState").addEventListener("click", () => { Audio.sfx.ui(); trainingHotkey("Digit3"); });
+        $("#btnTrainingPause").addEventListener("click", () => { Audio.sfx.ui(); trainingHotkey("Digit4"); });
+        $("#btnTrainingStep").addEventListener("click", () => { Audio.sfx.ui(); trainingHotkey("Digit5"); });
+        $("#trainingSpeed").addEventListener("change", (e) => Game.setSpeed(e.target.value));
+
+        // Replay controls
+        $("#btnReplayPlay").addEventListener("click", () => { Audio.sfx.ui(); Game.setPaused(!Game.isPaused()); });
+        $("#btnReplayStep").addEventListener("click", () => { Audio.sfx.ui(); Game.stepOnce(); });
+        $("#replaySpeed").addEventListener("change", (e) => Game.setSpeed(e.target.value));
+        $("#replaySeek").addEventListener("input", (e) => Game.seek(Number(e.target.value)));
+
         // Result screen buttons
         $("#btnRematch").addEventListener("click", () => {
             Audio.sfx.ui();
-            // Host can rematch by starting again; joiner waits for host's start.
-            UI.show("#screen-lobby");
-            UI.setRoundText("");
+            if (Game.mode === "local" && tournamentMatch) {
+                // A drawn bracket match is played again; a decided one goes back to the bracket.
+                if (tournamentMatch.recorded) openTournament();
+                else playTournamentLocal(Bracket.findMatch(tournament.bracket, tournamentMatch.id));
+                return;
+            }
+            if (Game.mode === "local") {
+                startLocalMatch();
+                return;
+            }
+            if (Game.mode !== "net") {
+                // Spectated match or replay: nothing to vote on.
+                UI.show("#screen-lobby");
+                return;
+            }
+            voteRematch();
         });
 
         $("#btnBackToLobby").addEventListener("click", () => {
             Audio.sfx.ui();
+            if (Game.mode === "local") {
+                UI.setRoundText("");
+                if (tournamentMatch) openTournament();
+                else openLocalVersus();
+                return;
+            }
+            if (Game.mode === "net" && Net.ready()) Net.send({ t: "rematch", vote: false });
+            resetSet();
+            UI.setRoundText("");
             UI.show("#screen-lobby");
         });
 
+        $("#btnDownloadDesync").addEventListener("click", () => {
+            Audio.sfx.ui();
+            const dump = Game.getDesyncDump();
+            if (!dump) return;
+            downloadJson(`cgf-desync-f${dump.frame}.json`, dump);
+        });
+
         // Keyboard input (gameplay)
         window.addEventListener("keydown", (e) => {
             // Prevent scrolling / default shortcuts during gameplay
             const inGame = $("#screen-game").classList.contains("active");
-            if (inGame && ["KeyW", "KeyA", "KeyS", "KeyD", "KeyJ", "KeyK", "KeyL", "Space"].includes(e.code)) {
+            if (inGame && (Game.isGameKey(e.code) || e.code === "Space")) {
                 e.preventDefault();
             }
 
@@ -2291,6 +4183,7 @@ Now output the JSON.`.trim();
             // Only feed game keys while in game screen
             if (inGame) {
                 Game.setKey(e.code, true);
+                if (Game.mode === "training" && !e.repeat) trainingHotkey(e.code);
             }
         });
 
@@ -2309,23 +4202,66 @@ Now output the JSON.`.trim();
     // Net message handling
     // -----------------------------
     function wireNet() {
+        Game.setHandlers({
+            onResult: (r) => onNetMatchResult(r),
+            onLocalResult: (r) => onLocalMatchResult(r),
+            onStall: (seconds) => onStall(seconds)
+        });
+
+        $("#btnStallWait").addEventListener("click", () => {
+            Audio.sfx.ui();
+            keepWaiting();
+        });
+        $("#btnStallClaim").addEventListener("click", () => {
+            Audio.sfx.ui();
+            claimForfeit();
+        });
+
         Net.setHandlers({
             onStatus: (s) => {
                 setNetStatus(s);
             },
             onOpen: () => {
                 setNetStatus("connected");
+                stopLanHosting();
                 // Immediately exchange hellos
                 sendHello();
+                offerResume();
+                rtt.reset();
+                updatePingLabel();
             },
             onClose: () => {
                 setNetStatus("disconnected");
-                $("#btnStartMatch").disabled = true;
+                updateStartMatchEnabled();
+                if (Game.mode === "spectate") Game.endSpectate();
+                else suspendMatchOnDisconnect();
+                dropTournamentPeer();
+                clearRematchVotes();
+                if (Game.mode === "net") updateRematchUI();
+            },
+            onPacket: (buf) => {
+                // Binary packets carry the input stream (see protocol.mjs)
+                const pkt = Protocol.decodePacket(buf);
+                if (pkt) Game.pushRemotePacket(pkt);
+            },
+            onSpectatorOpen: (id) => {
+                welcomeSpectator(id);
+            },
+            onSpectatorsChanged: (count) => {
+                $("#spectatorCount").textContent = String(count);
             },
             onMessage: (msg) => {
                 if (!msg || typeof msg !== "object") return;
 
                 if (msg.t === "hello") {
+                    const problems = Compat.compatProblems(LOCAL_COMPAT, msg.compat);
+                    if (problems.length) {
+                        remoteHello = null;
+                        refuseIncompatiblePeer(problems);
+                        updateStartMatchEnabled();
+                        return;
+                    }
+
                     // Validate character from remote to ensure fairness locally too
                     const v = validateAndNormalizeCharacter(msg.char);
                     if (!v.ok) {
@@ -2333,40 +4269,154 @@ Now output the JSON.`.trim();
                         setNetStatus("remote sent invalid character");
                         return;
                     }
+                    // A hello after the first one is a new pick; it needs a new ready.
                     remoteHello = { user: String(msg.user || "Remote"), char: v.character };
+                    ready.them = false;
+                    if (!spectating) bindTournamentPeer(remoteHello.user);
+                    updateStartMatchEnabled();
+                    return;
+                }
+
+                if (msg.t === "ready") {
+                    ready.them = msg.ready === true;
                     updateStartMatchEnabled();
                     return;
                 }
 
+                if (msg.t === "seed-commit") {
+                    if (!Net.isHost()) answerSeedCommit(msg.c);
+                    return;
+                }
+
+                if (msg.t === "seed-nonce") {
+                    if (Net.isHost()) startMatchAsHost(msg.n);
+                    return;
+                }
+
                 if (msg.t === "start") {
                     // Joiner receives start payload from host
-                    // Validate everything
+                    onStartMessage(msg);
+                    return;
+                }
+
+                if (msg.t === "chat" || msg.t === "emote") {
+                    onChatMessage(msg);
+                    return;
+                }
+
+                if (msg.t === "forfeit") {
+                    if (!spectating) onForfeitClaimed(msg);
+                    return;
+                }
+
+                if (msg.t === "forfeit-ok" || msg.t === "forfeit-no") {
+                    if (!spectating && Game.netMatchLive) settleClaim(msg.t === "forfeit-ok");
+                    return;
+                }
+
+                if (msg.t === "concede") {
+                    if (!spectating && Game.netMatchLive) onConceded();
+                    return;
+                }
+
+                if (msg.t === "rematch") {
+                    if (!spectating) onRematchVote(msg);
+                    return;
+                }
+
+                if (msg.t === "start-ack") {
+                    if (Net.isHost()) onStartAck(msg);
+                    return;
+                }
+
+                if (msg.t === "go") {
+                    if (!Net.isHost()) onGo(msg);
+                    return;
+                }
+
+                if (msg.t === "ping") {
+                    Net.send({ t: "pong", id: msg.id, ts: msg.ts });
+                    return;
+                }
+
+                if (msg.t === "pong") {
+                    if (typeof msg.ts === "number") rtt.add(performance.now() - msg.ts);
+                    updatePingLabel();
+                    return;
+                }
+
+                if (msg.t === "delay") {
+                    // Host moved the input delay; switch at the announced frame.
+                    if (Game.mode === "net") Game.scheduleDelayChange(msg.f | 0, msg.d | 0);
+                    return;
+                }
+
+                if (msg.t === "resume") {
+                    handleResume(msg);
+                    return;
+                }
+
+                if (msg.t === "resume-no") {
+                    abandonSuspendedMatch(String(msg.reason || "").slice(0, 120));
+                    return;
+                }
+
+                if (msg.t === "role") {
+                    // Host tells us this link is a spectator seat
+                    spectating = msg.role === "spectator";
+                    if (spectating) {
+                        const problems = Compat.compatProblems(LOCAL_COMPAT, msg.compat);
+                        if (problems.length) {
+                            // Our simulation would drift from the host's; don't follow its matches.
+                            spectating = false;
+                            refuseIncompatiblePeer(problems);
+                            return;
+                        }
+                        setNetStatus("connected as spectator (waiting for the host to start a match)");
+                    }
+                    updateStartMatchEnabled();
+                    return;
+                }
+
+                if (msg.t === "spec-start") {
+                    if (!spectating) return;
                     const v1 = validateAndNormalizeCharacter(msg.p1Char);
                     const v2 = validateAndNormalizeCharacter(msg.p2Char);
                     if (!v1.ok || !v2.ok) return;
 
-                    startMatchAsJoiner({
+                    startSpectating({
                         seed: msg.seed | 0,
                         p1User: String(msg.p1User || "P1"),
                         p2User: String(msg.p2User || "P2"),
                         p1Char: v1.character,
-                        p2Char: v2.character
+                        p2Char: v2.character,
+                        netcode: msg.netcode === "rollback" ? "rollback" : "lockstep",
+                        rules: msg.rules
                     });
                     return;
                 }
 
-                if (msg.t === "req") {
-                    // Peer requests resend starting from frame msg.f
-                    const from = msg.f | 0;
-                    Game.resendLocalInputs(from, 180);
+                if (msg.t === "spec-in") {
+                    if (!spectating || !Array.isArray(msg.m)) return;
+                    Game.pushSpectatorInputs(msg.f | 0, msg.m);
+                    return;
+                }
+
+                if (msg.t === "spec-end") {
+                    if (spectating) Game.endSpectate();
+                    return;
+                }
+
+                if (msg.t === "sum") {
+                    // Remote state hash at a confirmed frame boundary
+                    Game.pushRemoteChecksum(msg.f | 0, msg.h | 0);
                     return;
                 }
 
-                if (msg.t === "in") {
-                    // Remote input for a given frame
-                    const f = msg.f | 0;
-                    const m = msg.m | 0;
-                    Game.pushRemoteInput(f, m);
+                if (msg.t === "desync") {
+                    // Peer saw a checksum mismatch; its state comes along for the dump
+                    const state = (msg.state && typeof msg.state === "object") ? msg.state : null;
+                    Game.pushRemoteDesync(msg.f | 0, msg.h == null ? null : msg.h | 0, state);
                     return;
                 }
             }
@@ -2399,6 +4449,9 @@ Now output the JSON.`.trim();
 
         wireUI();
         wireNet();
+        wireLan();
+        wireChat();
+        startPinging();
 
         // Populate import UI if visited
         refreshCharUI();
@@ -0,0 +1,109 @@
+// -----------------------------
+// Replay format
+// -----------------------------
+// A match is fully determined by its seed, both characters and the per-frame
+// input masks, so that is all a replay stores. Masks are run-length encoded:
+// "0*1e,2*a,12" = mask 0 for 50 frames, mask 2 for 10 frames, mask 0x12 once
+// (mask and count in base 36).
+
+import { FPS, normalizeRules } from "./sim.mjs";
+
+export const REPLAY_VERSION = 1;
+export const REPLAY_EXT = ".cgfr";
+// Far longer than any real match; keeps a corrupt frame count from allocating forever.
+export const MAX_REPLAY_FRAMES = FPS * 60 * 60 * 3;
+
+export function encodeInputs(masks) {
+    const runs = [];
+    let i = 0;
+    while (i < masks.length) {
+        const m = masks[i] | 0;
+        let n = 1;
+        while (i + n < masks.length && (masks[i + n] | 0) === m) n++;
+        runs.push(n > 1 ? `${m.toString(36)}*${n.toString(36)}` : m.toString(36));
+        i += n;
+    }
+    return runs.join(",");
+}
+
+// `frames` is the length the track must decode to; a run past it is rejected
+// before anything is expanded, so a huge run count can't exhaust memory.
+export function decodeInputs(text, frames) {
+    const masks = [];
+    if (text) {
+        for (const run of String(text).split(",")) {
+            const [m, n = "1"] = run.split("*");
+            const mask = parseInt(m, 36);
+            const count = parseInt(n, 36);
+            if (!Number.isInteger(mask) || !Number.isInteger(count) || mask < 0 || mask > 127 || count < 1) {
+                throw new Error(`Bad input run "${run}".`);
+            }
+            if (masks.length + count > frames) throw new Error("Replay input track is longer than its frame count.");
+            for (let k = 0; k < count; k++) masks.push(mask);
+        }
+    }
+    if (masks.length !== frames) throw new Error("Replay input track is shorter than its frame count.");
+    return masks;
+}
+
+// `forfeit` is the player awarded a match that ended without a KO, if any.
+// `rules` are the sim's round rules (see normalizeRules); older replays have none.
+// `createdAt` is only passed when re-saving an existing replay (imports).
+export function buildReplay({
+    app, seed, netcode, rules, players, p1Masks, p2Masks, winner, forfeit = null, createdAt = new Date().toISOString()
+}) {
+    const frames = Math.min(p1Masks.length, p2Masks.length);
+    return {
+        kind: "cgf-replay",
+        v: REPLAY_VERSION,
+        app: String(app || ""),
+        createdAt,
+        seed: seed | 0,
+        netcode,
+        rules: normalizeRules(rules),
+        players: players.map(p => ({ user: p.user, char: p.char })),
+        frames,
+        winner: winner == null ? null : winner,
+        forfeit: forfeit == null ? null : forfeit,
+        inputs: [encodeInputs(p1Masks.slice(0, frames)), encodeInputs(p2Masks.slice(0, frames))]
+    };
+}
+
+// Structural checks only; the caller re-validates the characters.
+export function parseReplay(raw) {
+    if (!raw || typeof raw !== "object" || raw.kind !== "cgf-replay") {
+        throw new Error("Not a chatgpt-fighter replay.");
+    }
+    if (raw.v !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${raw.v}.`);
+    if (!Array.isArray(raw.players) || raw.players.length !== 2) throw new Error("Replay needs two players.");
+    if (!Array.isArray(raw.inputs) || raw.inputs.length !== 2) throw new Error("Replay needs two input tracks.");
+
+    const frames = raw.frames;
+    if (!Number.isInteger(frames) || frames < 0 || frames > MAX_REPLAY_FRAMES) {
+        throw new Error(`Replay frame count ${frames} is out of range.`);
+    }
+    const p1Masks = decodeInputs(raw.inputs[0], frames);
+    const p2Masks = decodeInputs(raw.inputs[1], frames);
+    // Imported files may lack a usable timestamp (it also names the file).
+    const created = new Date(raw.createdAt);
+
+    return {
+        app: String(raw.app || ""),
+        createdAt: typeof raw.createdAt === "string" && !isNaN(created) ? created.toISOString() : new Date().toISOString(),
+        seed: raw.seed | 0,
+        netcode: raw.netcode === "rollback" ? "rollback" : "lockstep",
+        rules: normalizeRules(raw.rules),
+        players: raw.players.map(p => ({ user: String(p?.user || "?"), char: p?.char })),
+        frames,
+        winner: raw.winner === 0 || raw.winner === 1 ? raw.winner : null,
+        forfeit: raw.forfeit === 0 || raw.forfeit === 1 ? raw.forfeit : null,
+        p1Masks,
+        p2Masks
+    };
+}
+
+export function replayFileName(replay) {
+    const stamp = replay.createdAt.replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+    const slug = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, "").slice(0, 12) || "player";
+    return `${stamp}-${slug(replay.players[0].user)}-vs-${slug(replay.players[1].user)}${REPLAY_EXT}`;
+}
@@ -0,0 +1,42 @@
+// -----------------------------
+// Commit-reveal match seed
+// -----------------------------
+// Neither peer should pick the RNG seed alone. The host commits to a random
+// nonce (sends its SHA-256), the joiner answers with its own nonce in the
+// clear, then the host reveals its nonce in `start`. The seed is derived
+// from both, and the joiner checks the reveal against the commitment.
+
+const NONCE_BYTES = 16;
+const NONCE_RE = /^[0-9a-f]{32}$/;
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, "0")).join("");
+
+async function sha256(text) {
+    return crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+}
+
+export function randomNonce() {
+    return toHex(crypto.getRandomValues(new Uint8Array(NONCE_BYTES)));
+}
+
+export function isNonce(value) {
+    return typeof value === "string" && NONCE_RE.test(value);
+}
+
+export async function commitNonce(nonce) {
+    return toHex(await sha256(`cgf-commit:${nonce}`));
+}
+
+export async function verifyReveal(nonce, commitment) {
+    return isNonce(nonce) && (await commitNonce(nonce)) === commitment;
+}
+
+// int32 seed from both nonces; neither side can steer it alone.
+export async function deriveSeed(hostNonce, joinerNonce) {
+    const digest = await sha256(`cgf-seed:${hostNonce}:${joinerNonce}`);
+    return new DataView(digest).getInt32(0, false) || 1; // xorshift32 can't use 0
+}
+
+export function formatSeed(seed) {
+    return (seed >>> 0).toString(16).padStart(8, "0");
+}
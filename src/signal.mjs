@@ -0,0 +1,140 @@
+// -----------------------------
+// Short Offer/Answer codes
+// -----------------------------
+// A data-channel-only SDP carries a lot of boilerplate. All a peer really
+// needs is the ICE credentials, the DTLS fingerprint and role, the mid and
+// the gathered candidates, so that is all a short code keeps. The rest is
+// rebuilt from a fixed template on the other side.
+//
+// Code: "CGF2.<o|a>.<base64url(deflate-raw(json))>.<checksum>"
+// The checksum (FNV-1a of the payload text, base36) catches codes that were
+// truncated or mangled in transit before they reach setRemoteDescription.
+//
+// Old codes ({"v":1,"type":...,"sdp":...}) are still accepted.
+
+export const CODE_PREFIX = "CGF2";
+
+const TYPE_TAGS = { offer: "o", answer: "a" };
+
+function fnv1a(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function toBase64Url(bytes) {
+    let bin = "";
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+    const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+    return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+    const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await out.arrayBuffer());
+}
+
+export function compactSdp(sdp) {
+    const lines = String(sdp).split(/\r?\n/);
+    const value = (prefix) => {
+        const line = lines.find(l => l.startsWith(prefix));
+        return line ? line.slice(prefix.length).trim() : "";
+    };
+
+    const fingerprint = value("a=fingerprint:");
+    const [hash, fp] = fingerprint.split(" ");
+    const compact = {
+        u: value("a=ice-ufrag:"),
+        p: value("a=ice-pwd:"),
+        h: hash || "",
+        f: (fp || "").replace(/:/g, ""),
+        s: value("a=setup:"),
+        m: value("a=mid:") || "0",
+        c: lines.filter(l => l.startsWith("a=candidate:")).map(l => l.slice("a=candidate:".length).trim())
+    };
+    if (!compact.u || !compact.p || !compact.h || !compact.f || !compact.s) {
+        throw new Error("Session description is missing ICE credentials or a fingerprint.");
+    }
+    return compact;
+}
+
+export function expandSdp(c) {
+    const fp = c.f.toUpperCase().match(/.{2}/g).join(":");
+    const lines = [
+        "v=0",
+        "o=- 0 2 IN IP4 127.0.0.1",
+        "s=-",
+        "t=0 0",
+        `a=group:BUNDLE ${c.m}`,
+        "a=msid-semantic: WMS",
+        "m=application 9 UDP/DTLS/SCTP webrtc-datachannel",
+        "c=IN IP4 0.0.0.0",
+        ...c.c.map(cand => `a=candidate:${cand}`),
+        "a=end-of-candidates",
+        `a=ice-ufrag:${c.u}`,
+        `a=ice-pwd:${c.p}`,
+        `a=fingerprint:${c.h} ${fp}`,
+        `a=setup:${c.s}`,
+        `a=mid:${c.m}`,
+        "a=sctp-port:5000",
+        "a=max-message-size:262144"
+    ];
+    return lines.join("\r\n") + "\r\n";
+}
+
+export async function encodeDescription({ type, sdp }) {
+    const tag = TYPE_TAGS[type];
+    if (!tag) throw new Error(`Unknown description type "${type}".`);
+
+    const json = JSON.stringify(compactSdp(sdp));
+    const packed = await pipeBytes(new TextEncoder().encode(json), new CompressionStream("deflate-raw"));
+    const payload = toBase64Url(packed);
+    return `${CODE_PREFIX}.${tag}.${payload}.${fnv1a(payload).toString(36)}`;
+}
+
+// Returns the SDP for the expected type, or throws with a message for the user.
+// `what` names the code in errors ("Offer", "Answer").
+export async function decodeDescription(code, type, what) {
+    const text = String(code || "").replace(/\s+/g, "");
+    if (!text) throw new Error(`${what} code is empty.`);
+
+    if (!text.startsWith(`${CODE_PREFIX}.`)) return decodeLegacy(String(code), type, what);
+
+    const parts = text.split(".");
+    if (parts.length !== 4) throw new Error(`${what} code is incomplete. Copy the whole code and try again.`);
+    const [, tag, payload, sum] = parts;
+    if (tag !== TYPE_TAGS[type]) throw new Error(`That is not an ${what} code.`);
+    if (fnv1a(payload).toString(36) !== sum) {
+        throw new Error(`${what} code failed its checksum. It was probably cut off or changed while pasting.`);
+    }
+
+    let compact;
+    try {
+        const bytes = await pipeBytes(fromBase64Url(payload), new DecompressionStream("deflate-raw"));
+        compact = JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        throw new Error(`${what} code could not be unpacked.`);
+    }
+    if (!compact || typeof compact !== "object" || !Array.isArray(compact.c) ||
+        ![compact.u, compact.p, compact.h, compact.f, compact.s, compact.m].every(v => typeof v === "string" && v)) {
+        throw new Error(`${what} code has invalid shape.`);
+    }
+    return expandSdp(compact);
+}
+
+function decodeLegacy(code, type, what) {
+    let desc;
+    try { desc = JSON.parse(code); } catch { throw new Error(`${what} code is not valid.`); }
+    if (desc?.v !== 1 || desc?.type !== type || typeof desc?.sdp !== "string") {
+        throw new Error(`${what} code has invalid shape.`);
+    }
+    return desc.sdp;
+}
@@ -0,0 +1,816 @@
+// -----------------------------
+// Deterministic simulation core
+// -----------------------------
+// Pure fighter simulation shared by the renderer and the Node tests.
+// No DOM, audio, timers or settings in here: step() mutates the state it is
+// given and reports side effects (sounds, KO) through state.events.
+
+// Fixed-point scaling
+export const FP = 100; // 1 px = 100 units
+export const ARENA_W = 1120;
+export const ARENA_H = 520;
+export const GROUND_Y = 420;
+
+export const FIX_W = ARENA_W * FP;
+export const FIX_GROUND = GROUND_Y * FP;
+
+// Frame rate
+export const FPS = 60;
+
+// Input bitmask
+export const IN = {
+    L: 1 << 0,
+    R: 1 << 1,
+    J: 1 << 2,
+    P: 1 << 3,
+    K: 1 << 4,
+    S: 1 << 5, // special
+    B: 1 << 6  // block
+};
+
+const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+export function derivedStats(stats) {
+    // All integers
+    return {
+        maxHP: 900 + stats.health * 55,           // ~1065..1395
+        atk: 8 + stats.attack * 2,                // 14..26
+        def: 8 + stats.defense * 2,               // 14..26
+        run: 220 + stats.speed * 18,              // (scaled later)
+        jump: 520 + stats.jump * 20,              // (scaled later)
+        meterGain: 8 + stats.special * 2,         // 14..26
+        range: 18 + stats.range * 4,              // 30..54
+        projBonus: stats.range                     // influences projectile damage modestly
+    };
+}
+
+export function hashStr32(s) {
+    // Deterministic 32-bit hash (FNV-1a-ish)
+    s = String(s || "");
+    let h = 2166136261 | 0;
+    for (let i = 0; i < s.length; i++) {
+        h ^= s.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h | 0;
+}
+
+function pick(arr, h, salt) {
+    const idx = Math.abs((h ^ (salt | 0)) | 0) % arr.length;
+    return arr[idx];
+}
+
+export function deriveVisuals(char) {
+    const h = hashStr32(char.name + "|" + char.tagline);
+
+    // Silhouette from stats (so it "feels" tied to build)
+    const bulkyScore = (char.stats.health + char.stats.defense) - char.stats.speed;
+    const nimbleScore = char.stats.speed + char.stats.jump - char.stats.health;
+
+    const silhouette =
+        bulkyScore >= 6 ? "bulky" :
+            nimbleScore >= 6 ? "nimble" :
+                "balanced";
+
+    const head = pick(["none", "bandana", "hood", "helmet", "topknot"], h, 11);
+    const face = pick(["none", "mask", "visor"], h, 23);
+    const pattern = pick(["plain", "stripe", "chevron", "dot"], h, 37);
+    const aura = (char.stats.special >= 7) ? pick(["none", "electric", "void", "wind", "fire"], h, 51) : "none";
+
+    const projShape = pick(["orb", "shuriken", "kunai", "banana"], h, 71);
+
+    return { h, silhouette, head, face, pattern, aura, projShape };
+}
+
+// -----------------------------
+// RNG
+// -----------------------------
+export function xorshift32(x) {
+    x |= 0;
+    x ^= x << 13; x |= 0;
+    x ^= x >>> 17; x |= 0;
+    x ^= x << 5; x |= 0;
+    return x | 0;
+}
+
+export function rand01(state) {
+    state.seed = xorshift32(state.seed);
+    // unsigned -> [0,1)
+    return ((state.seed >>> 0) / 4294967296);
+}
+
+// -----------------------------
+// Rounds
+// -----------------------------
+// A match is first to `roundsToWin` rounds. A round ends on a KO or, with a
+// timer, when `roundFrames` run out: then the higher HP percentage takes it.
+// Each round opens with `introFrames` in which inputs are ignored and the
+// timer holds. A drawn round counts for both; if that ends the match with
+// equal scores, the match is a draw. Everything is counted in frames.
+export const ROUND_BREAK_FRAMES = 150; // between a round's end and the next round
+export const MAX_ROUNDS_TO_WIN = 5;
+export const MAX_ROUND_SECONDS = 300;
+
+export function normalizeRules(rules = {}) {
+    const int = (v, lo, hi) => clamp(Math.floor(Number(v) || 0), lo, hi);
+    return {
+        roundsToWin: int(rules.roundsToWin ?? 1, 1, MAX_ROUNDS_TO_WIN),
+        roundFrames: int(rules.roundFrames ?? (rules.roundSeconds ?? 0) * FPS, 0, MAX_ROUND_SECONDS * FPS),
+        introFrames: int(rules.introFrames ?? 0, 0, 10 * FPS)
+    };
+}
+
+// Frames left on the round clock, or null without a timer.
+export function roundTimeLeft(state) {
+    const { roundFrames, introFrames } = state.rules;
+    if (!roundFrames) return null;
+    const elapsed = Math.max(0, state.frame - state.roundStartFrame - introFrames);
+    return Math.max(0, roundFrames - elapsed);
+}
+
+// -----------------------------
+// State
+// -----------------------------
+function spawnFighters(p1Char, p2Char) {
+    const fighters = [
+        makeFighter(0, 240 * FP, FIX_GROUND, p1Char),
+        makeFighter(1, 880 * FP, FIX_GROUND, p2Char)
+    ];
+
+    // Facing
+    fighters[0].facing = 1;
+    fighters[1].facing = -1;
+    return fighters;
+}
+
+export function createState({ seed, p1Char, p2Char, rules }) {
+    return {
+        frame: 0,
+        seed: seed | 0,
+        rules: normalizeRules(rules),
+        fighters: spawnFighters(p1Char, p2Char),
+        projectiles: [],
+        particles: [],
+        hitstop: 0,
+        shake: 0,
+        round: 1,
+        roundsWon: [0, 0],
+        roundStartFrame: 0,
+        roundEnd: null, // { frame, winner, reason: "ko" | "time" } during the break
+        winner: null,
+        koFrame: -1,
+        events: []
+    };
+}
+
+export function cloneState(s) {
+    // Characters, derived stats and visuals never change mid-match,
+    // so fighters copy shallowly. Rules are never mutated.
+    return {
+        ...s,
+        fighters: s.fighters.map(f => ({ ...f })),
+        projectiles: s.projectiles.map(p => ({ ...p })),
+        particles: s.particles.map(p => ({ ...p })),
+        roundsWon: [...s.roundsWon],
+        roundEnd: s.roundEnd && { ...s.roundEnd },
+        events: []
+    };
+}
+
+export function checksumState(s) {
+    // Simulation-relevant fields only: shake and particles are cosmetic,
+    // and characters are fixed for the match. Single-round matches without
+    // a timer leave out the round fields, so they hash as they always have.
+    const rounds = s.rules.roundsToWin > 1 || s.rules.roundFrames > 0
+        ? { round: s.round, roundsWon: s.roundsWon, roundStartFrame: s.roundStartFrame, roundEnd: s.roundEnd }
+        : {};
+    return {
+        frame: s.frame,
+        seed: s.seed,
+        hitstop: s.hitstop,
+        koFrame: s.koFrame,
+        ...rounds,
+        fighters: s.fighters.map(({ char, d, viz, ...rest }) => rest),
+        projectiles: s.projectiles
+    };
+}
+
+export function hashState(s) {
+    return hashStr32(JSON.stringify(checksumState(s)));
+}
+
+function emit(state, type, data) {
+    state.events.push({ type, ...data });
+}
+
+// -----------------------------
+// Fighters
+// -----------------------------
+export function makeFighter(i, x, y, char) {
+    const d = derivedStats(char.stats);
+    const viz = deriveVisuals(char);
+
+    // Base sizes
+    const baseW = 42 * FP;
+    const baseH = 106 * FP;
+
+    let w = baseW;
+    let h = baseH;
+
+    if (viz.silhouette === "bulky") {
+        w += 10 * FP; h += 12 * FP;
+    } else if (viz.silhouette === "nimble") {
+        w -= 6 * FP; h -= 4 * FP;
+    }
+
+    // Slight stat influence (subtle, still readable)
+    w += (char.stats.health - 5) * 2 * FP + (char.stats.defense - 5) * 1 * FP;
+    w -= (char.stats.speed - 5) * 1 * FP;
+    h += (char.stats.health - 5) * 2 * FP;
+    h -= (char.stats.jump - 5) * 1 * FP;
+
+    w = clamp(w, 34 * FP, 62 * FP);
+    h = clamp(h, 90 * FP, 140 * FP);
+    return {
+        idx: i,
+        char,
+        d,
+
+        x, y,
+        vx: 0,
+        vy: 0,
+
+        w,
+        h,
+        viz,
+
+        coyote: 0,
+        jumpBuf: 0,
+
+        onGround: true,
+        facing: i === 0 ? 1 : -1,
+
+        hp: d.maxHP,
+        meter: 0,
+
+        state: "idle", // idle, run, jump, punch, kick, special, hurt, ko, block
+        stateFrame: 0,
+
+        stun: 0,
+        cooldown: 0,
+        specialCD: 0,
+
+        lastHitFrame: -9999
+    };
+}
+
+export function getHurtbox(f) {
+    // Smaller than the drawn body so hits feel fair.
+    // Also changes slightly by state (jump/hurt/ko).
+    const w = f.w;
+    const h = f.h;
+
+    // Base padding (in fixed-point)
+    let padX = Math.floor(w * 18 / 100);     // 18% narrower
+    let padTop = 14 * FP;                   // head padding
+    let padBottom = 10 * FP;                // feet padding
+
+    if (f.state === "jump") {
+        padX = Math.floor(w * 22 / 100);
+        padBottom = 14 * FP;
+    }
+    if (f.state === "hurt") {
+        padX = Math.floor(w * 24 / 100);
+    }
+    if (f.state === "ko") {
+        padX = Math.floor(w * 28 / 100);
+        padTop = 18 * FP;
+    }
+
+    const left = (f.x - w / 2) + padX;
+    const top = (f.y - h) + padTop;
+    const rw = w - padX * 2;
+    const rh = h - padTop - padBottom;
+
+    return { x: left, y: top, w: rw, h: rh };
+}
+
+export function getHitbox(f) {
+    // Returns a hitbox that starts at the fighter front edge.
+    // The collision code later converts this into a world rect based on facing.
+    const dir = f.facing;
+
+    // Range and height tuned to feel better with the new hurtbox.
+    const range = (f.d.range * FP);
+    const frontX = f.x + dir * (f.w / 2 + 4 * FP);
+
+    // Different vertical targets for different moves / states
+    const midY = f.y - 72 * FP;
+    const highY = f.y - 92 * FP;
+    const lowY = f.y - 52 * FP;
+
+    // Punch: quick, mid/high
+    if (f.state === "punch" && f.stateFrame >= 4 && f.stateFrame <= 6) {
+        const y = (f.onGround ? midY : highY);
+        return {
+            x: frontX,
+            y,
+            w: Math.floor(range * 0.90),
+            h: 20 * FP,
+            dmg: 24,
+            type: "punch"
+        };
+    }
+
+    // Kick: slower, wider + slightly lower
+    if (f.state === "kick" && f.stateFrame >= 6 && f.stateFrame <= 9) {
+        return {
+            x: frontX,
+            y: lowY,
+            w: range + 10 * FP,
+            h: 26 * FP,
+            dmg: 32,
+            type: "kick"
+        };
+    }
+
+    return null;
+}
+
+function aabb(a, b) {
+    return (
+        a.x < b.x + b.w &&
+        a.x + a.w > b.x &&
+        a.y < b.y + b.h &&
+        a.y + a.h > b.y
+    );
+}
+
+function hurtboxRect(f) {
+    const hb = getHurtbox(f);
+    return hb;
+}
+
+export function applyDamage(state, attacker, defender, baseDmg, kind) {
+    const atk = attacker.d.atk;
+    const def = defender.d.def;
+
+    const atkMul = 100 + 3 * (atk - 14);
+    const defMul = 100 + 2 * (def - 14);
+
+    let dmg = Math.floor((baseDmg * atkMul) / defMul);
+
+    const isBlocking = defender.state === "block";
+    if (isBlocking) {
+        const mult = (kind === "projectile") ? 0.25 : 0.35;
+        dmg = Math.floor(dmg * mult);
+    }
+    dmg = clamp(dmg, 1, 120);
+
+    defender.hp = Math.max(0, defender.hp - dmg);
+
+    // meter gain
+    const gain = attacker.d.meterGain;
+    attacker.meter = clamp(attacker.meter + gain, 0, 100);
+    defender.meter = clamp(defender.meter + Math.floor(gain / 3), 0, 100);
+
+    // stun + state
+    if (!isBlocking) {
+        const stunFrames =
+            (kind === "kick") ? 14 :
+                (kind === "projectile") ? 12 :
+                    10;
+
+        defender.stun = Math.max(defender.stun, stunFrames);
+        defender.state = "hurt";
+        defender.stateFrame = 0;
+    } else {
+        defender.state = "block";
+        defender.stateFrame = 0;
+    }
+
+    // Knockback (improves readability and reduces overlap)
+    const dir = attacker.facing; // -1 or 1
+
+    // Knockback speed in px/sec-ish terms mapped to per-frame FP velocity
+    let kb =
+        (kind === "kick") ? 540 :
+            (kind === "punch") ? 440 :
+                480;
+
+    kb += (attacker.d.atk - 14) * 16; // scale with attack
+
+    if (isBlocking) kb = Math.floor(kb * 0.35);
+
+    const kbV = Math.floor((kb * FP) / 60); // convert to FP per frame
+    defender.vx = dir * kbV;
+
+    // Small pop-up only when not blocking and on ground
+    if (!isBlocking && defender.onGround) {
+        defender.vy = Math.min(defender.vy, -(520)); // ~5.2 px/frame upward
+        defender.onGround = false;
+    }
+
+    // hitstop / shake / particles
+    state.hitstop = Math.max(state.hitstop, isBlocking ? 2 : 4);
+    state.shake = Math.max(state.shake, isBlocking ? 3 : 6);
+
+    for (let i = 0; i < (isBlocking ? 4 : 7); i++) {
+        state.particles.push(makeParticle(state, defender.x, defender.y - 70 * FP, attacker.char.palette.secondary));
+    }
+
+    emit(state, "sfx", { name: "hit" });
+}
+
+function makeParticle(state, x, y, color) {
+    // small deterministic particle using seeded rand
+    const ang = Math.floor(rand01(state) * 628) / 100; // 0..6.28
+    const sp = 180 + Math.floor(rand01(state) * 240);
+    return {
+        x, y,
+        vx: Math.floor(Math.cos(ang) * sp) * FP / 100,
+        vy: Math.floor(Math.sin(ang) * sp) * FP / 100,
+        life: 18 + Math.floor(rand01(state) * 14),
+        color
+    };
+}
+
+export function spawnProjectile(state, owner) {
+    // Meter cost. If insufficient, do nothing.
+    if (owner.meter < 35) return false;
+    owner.meter -= 35;
+
+    const dir = owner.facing;
+    const spd = owner.char.moves.projectileSpeed; // 6..16
+    const size = owner.char.moves.projectileSize; // 8..18
+    const dmg = 18 + owner.d.projBonus; // modest
+
+    const w = size * FP;
+    const h = size * FP;
+
+    const px = owner.x + dir * (owner.w / 2 + 18 * FP);
+    const py = owner.y - 80 * FP;
+
+    state.projectiles.push({
+        ownerIdx: owner.idx,
+        x: px,
+        y: py,
+        vx: dir * (spd * 36) * FP / 10,
+        w,
+        h,
+        dmg,
+        life: 70 + owner.char.stats.range * 6, // range affects travel time
+        shape: owner.viz?.projShape || "orb",
+        color: owner.char.palette.secondary
+    });
+
+    emit(state, "sfx", { name: "special" });
+    return true;
+}
+
+function getProjectileRect(p) {
+    // Slightly smaller than drawn so it feels fair
+    const w = Math.floor(p.w * 85 / 100);
+    const h = Math.floor(p.h * 85 / 100);
+    return { x: p.x - w / 2, y: p.y - h / 2, w, h };
+}
+
+function updateFacing(fighters) {
+    const a = fighters[0], b = fighters[1];
+    if (a.x < b.x) { a.facing = 1; b.facing = -1; }
+    else { a.facing = -1; b.facing = 1; }
+}
+
+function integrateFighter(f) {
+    // Physics tuned for FP-per-frame velocities (deterministic integers)
+    const gravity = 220;        // 2.20 px/frame^2 in FP units
+    const terminal = 2600;      // 26 px/frame max fall speed in FP
+
+    if (!f.onGround) {
+        f.vy = clamp(f.vy + gravity, -999999, terminal);
+    }
+
+    f.x += f.vx;
+    f.y += f.vy;
+
+    // Floor
+    if (f.y >= FIX_GROUND) {
+        f.y = FIX_GROUND;
+        f.vy = 0;
+        f.onGround = true;
+    } else {
+        f.onGround = false;
+    }
+
+    // Walls
+    const leftWall = 60 * FP;
+    const rightWall = FIX_W - 60 * FP;
+    f.x = clamp(f.x, leftWall, rightWall);
+
+    // Friction / air drag (slightly less slippery)
+    if (f.onGround) {
+        f.vx = Math.floor(f.vx * 88 / 100);
+        if (Math.abs(f.vx) < 10 * FP) f.vx = 0;
+    } else {
+        f.vx = Math.floor(f.vx * 97 / 100);
+        if (Math.abs(f.vx) < 6 * FP) f.vx = 0;
+    }
+}
+
+// -----------------------------
+// Step
+// -----------------------------
+// (state, [maskP1, maskP2]) -> state. Advances exactly one frame.
+export function step(state, inputMasks) {
+    state.events = [];
+
+    // cosmetic shake decays per frame so every peer sees the same value
+    if (state.shake > 0) state.shake--;
+
+    stepLogic(state, inputMasks);
+    state.frame++;
+    return state;
+}
+
+function endRound(state, winner, reason) {
+    const { roundsWon, rules, frame } = state;
+    if (winner == null) {
+        roundsWon[0]++;
+        roundsWon[1]++;
+    } else {
+        roundsWon[winner]++;
+    }
+    emit(state, "round", { winner, reason });
+
+    if (roundsWon[0] >= rules.roundsToWin || roundsWon[1] >= rules.roundsToWin) {
+        // Match over (the caller decides when to announce it)
+        state.winner = roundsWon[0] === roundsWon[1] ? null : (roundsWon[0] > roundsWon[1] ? 0 : 1);
+        state.koFrame = frame;
+        emit(state, "ko", { winner: state.winner });
+        return;
+    }
+    state.roundEnd = { frame, winner, reason };
+}
+
+function startNextRound(state) {
+    // Positions, HP, meter and projectiles reset; the score carries over.
+    state.fighters = spawnFighters(state.fighters[0].char, state.fighters[1].char);
+    state.projectiles = [];
+    state.hitstop = 0;
+    state.round++;
+    state.roundEnd = null;
+    state.roundStartFrame = state.frame + 1;
+}
+
+function stepLogic(state, inputMasks) {
+    // inputMasks: [maskP1, maskP2]
+    if (state.koFrame >= 0) return;
+
+    if (state.roundEnd) {
+        if (state.frame - state.roundEnd.frame >= ROUND_BREAK_FRAMES) startNextRound(state);
+        return;
+    }
+
+    // Nobody moves before the round's FIGHT.
+    if (state.frame - state.roundStartFrame < state.rules.introFrames) inputMasks = [0, 0];
+
+    if (state.hitstop > 0) {
+        state.hitstop--;
+        return; // hitstop freezes simulation
+    }
+
+    const { fighters, projectiles, particles, frame } = state;
+
+    // Update fighters
+    for (let i = 0; i < 2; i++) {
+        const f = fighters[i];
+        const opp = fighters[1 - i];
+        const m = inputMasks[i] | 0;
+
+        // KO transition
+        if (f.hp <= 0 && f.state !== "ko") {
+            f.state = "ko";
+            f.stateFrame = 0;
+            f.stun = 0;
+            f.vx = 0;
+        }
+
+        // Cooldowns / stun
+        if (f.cooldown > 0) f.cooldown--;
+        if (f.specialCD > 0) f.specialCD--;
+        if (f.stun > 0) f.stun--;
+
+        // Jump feel helpers: coyote + buffer
+        if (f.onGround) f.coyote = 6;
+        else f.coyote = Math.max(0, f.coyote - 1);
+
+        f.jumpBuf = Math.max(0, f.jumpBuf - 1);
+        if (m & IN.J) f.jumpBuf = 6;
+
+        const canAct = (f.state !== "ko" && f.stun === 0);
+
+        // Determine current state flags FIRST (movement uses inAttack)
+        const inAttack = (f.state === "punch" || f.state === "kick" || f.state === "special");
+        const inHurt = (f.state === "hurt");
+
+        // Block (only on ground)
+        const wantsBlock = !!(m & IN.B) && f.onGround && canAct && !inHurt;
+        if (wantsBlock) {
+            if (f.state !== "block") {
+                f.state = "block";
+                f.stateFrame = 0;
+            }
+        } else if (f.state === "block") {
+            f.state = "idle";
+            f.stateFrame = 0;
+        }
+
+        // Actions (only if not already attacking/hurt/block)
+        if (canAct && !inAttack && !inHurt && f.state !== "block") {
+            // Jump (buffer + coyote)
+            if (f.jumpBuf > 0 && f.coyote > 0) {
+                f.vy = -(1100 + f.char.stats.jump * 110); // tuned for integrateFighter gravity
+                f.onGround = false;
+                f.state = "jump";
+                f.stateFrame = 0;
+
+                // IMPORTANT: clear jump buffer once it triggers
+                f.jumpBuf = 0;
+                f.coyote = 0;
+
+                emit(state, "sfx", { name: "jump" });
+            }
+
+            // Attacks
+            if ((m & IN.P) && f.cooldown === 0) {
+                f.state = "punch";
+                f.stateFrame = 0;
+                f.cooldown = 10;
+                emit(state, "sfx", { name: "punch" });
+            } else if ((m & IN.K) && f.cooldown === 0) {
+                f.state = "kick";
+                f.stateFrame = 0;
+                f.cooldown = 14;
+                emit(state, "sfx", { name: "kick" });
+            } else if ((m & IN.S) && f.specialCD === 0) {
+                f.state = "special";
+                f.stateFrame = 0;
+                f.specialCD = 26;
+            }
+        }
+
+        // Recompute inAttack after potential state change above
+        const inAttack2 = (f.state === "punch" || f.state === "kick" || f.state === "special");
+
+        // Horizontal movement (after inAttack is defined)
+        const canMove = (f.state !== "ko" && f.state !== "hurt" && f.state !== "block" && !inAttack2);
+        if (canMove) {
+            const left = !!(m & IN.L);
+            const right = !!(m & IN.R);
+
+            let dir = 0;
+            if (left && !right) dir = -1;
+            if (right && !left) dir = 1;
+
+            const speedRating = f.d.run; // ~274..382
+
+            const maxGround = Math.floor((520 + speedRating * 2) * FP / 60); // ~12..16 px/frame
+            const maxAir = Math.floor(maxGround * 85 / 100);
+
+            const accelGround = Math.floor(maxGround * 28 / 100);
+            const accelAir = Math.floor(maxAir * 18 / 100);
+
+            const maxV = f.onGround ? maxGround : maxAir;
+            const accel = f.onGround ? accelGround : accelAir;
+
+            if (dir !== 0) {
+                f.vx = clamp(f.vx + dir * accel, -maxV, maxV);
+                if (f.onGround && f.state !== "jump") f.state = "run";
+            } else {
+                if (f.onGround && f.state === "run") f.state = "idle";
+            }
+        }
+
+        // Advance animation frame
+        f.stateFrame++;
+
+        integrateFighter(f);
+
+        // Hurt end
+        if (f.state === "hurt" && f.stateFrame > 12) {
+            f.state = f.onGround ? "idle" : "jump";
+            f.stateFrame = 0;
+        }
+
+        // Jump land
+        if (f.state === "jump" && f.onGround && f.stateFrame > 2) {
+            f.state = "idle";
+            f.stateFrame = 0;
+        }
+
+        // Attack end
+        if (f.state === "punch" && f.stateFrame > 12) {
+            f.state = f.onGround ? "idle" : "jump";
+            f.stateFrame = 0;
+        }
+        if (f.state === "kick" && f.stateFrame > 16) {
+            f.state = f.onGround ? "idle" : "jump";
+            f.stateFrame = 0;
+        }
+
+        // Special timing (spawn projectile on frame 8)
+        if (f.state === "special") {
+            if (f.stateFrame === 8) {
+                const spawned = spawnProjectile(state, f);
+                if (spawned) {
+                    // small recoil for feel / spacing (deterministic)
+                    f.vx = Math.floor(f.vx * 60 / 100) - f.facing * (6 * FP);
+                }
+            }
+            if (f.stateFrame > 18) {
+                f.state = f.onGround ? "idle" : "jump";
+                f.stateFrame = 0;
+            }
+        }
+
+        // Soft push apart to prevent overlap
+        const hb = getHurtbox(f);
+        const ob = getHurtbox(opp);
+        if (aabb(hb, ob)) {
+            const push = 8 * FP;
+            if (f.x < opp.x) { f.x -= push; opp.x += push; }
+            else { f.x += push; opp.x -= push; }
+        }
+    }
+
+    updateFacing(fighters);
+
+    // Melee hits (after both updated)
+    for (let i = 0; i < 2; i++) {
+        const a = fighters[i];
+        const b = fighters[1 - i];
+
+        const hit = getHitbox(a);
+        if (!hit) continue;
+        if (a.lastHitFrame === frame) continue;
+
+        const hitRect = {
+            x: hit.x + (a.facing === 1 ? 0 : -hit.w),
+            y: hit.y,
+            w: hit.w,
+            h: hit.h
+        };
+
+        const hurt = hurtboxRect(b);
+
+        const verticalClose = Math.abs(a.y - b.y) < 140 * FP;
+        if (verticalClose && aabb(hitRect, hurt) && b.state !== "ko") {
+            a.lastHitFrame = frame;
+            applyDamage(state, a, b, hit.dmg, hit.type);
+        }
+    }
+
+    // Projectiles
+    for (let pi = projectiles.length - 1; pi >= 0; pi--) {
+        const p = projectiles[pi];
+        p.x += p.vx;
+        p.life--;
+
+        const pr = getProjectileRect(p);
+
+        if (p.life <= 0 || pr.x < -80 * FP || pr.x > FIX_W + 80 * FP) {
+            projectiles.splice(pi, 1);
+            continue;
+        }
+
+        const target = fighters[1 - p.ownerIdx];
+        if (target.state === "ko") continue;
+
+        const tr = hurtboxRect(target);
+        if (aabb(pr, tr)) {
+            const owner = fighters[p.ownerIdx];
+            applyDamage(state, owner, target, p.dmg, "projectile");
+            projectiles.splice(pi, 1);
+        }
+    }
+
+    // Particles
+    for (let i = particles.length - 1; i >= 0; i--) {
+        const pt = particles[i];
+        pt.x += pt.vx;
+        pt.y += pt.vy;
+        pt.vy += 40 * FP;
+        pt.life--;
+        if (pt.life <= 0) particles.splice(i, 1);
+    }
+
+    // Round end: KO first, then the clock
+    if (fighters[0].hp <= 0 || fighters[1].hp <= 0) {
+        endRound(state, fighters[0].hp > 0 ? 0 : fighters[1].hp > 0 ? 1 : null, "ko");
+    } else if (roundTimeLeft(state) === 0) {
+        // Higher HP percentage wins: hp0/max0 vs hp1/max1, cross-multiplied to stay integer.
+        const a = fighters[0].hp * fighters[1].d.maxHP;
+        const b = fighters[1].hp * fighters[0].d.maxHP;
+        endRound(state, a === b ? null : (a > b ? 0 : 1), "time");
+    }
+}
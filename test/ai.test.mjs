@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Sim from "../src/sim.mjs";
+import * as AI from "../src/ai.mjs";
+
+const STATS = { health: 5, attack: 5, defense: 5, speed: 5, jump: 5, special: 5, range: 4 };
+
+function char(id) {
+    return {
+        version: 1,
+        id,
+        name: id,
+        tagline: "",
+        palette: { primary: "#66e3ff", secondary: "#a5ff7a" },
+        stats: STATS,
+        moves: { specialName: "Probe", projectileSpeed: 12, projectileSize: 14 },
+        meta: { createdAt: "2026-01-01T00:00:00.000Z", authorHint: "test" }
+    };
+}
+
+// CPU vs CPU until a KO (or 99 seconds); returns the final state and P2's masks.
+function play(level1, level2, seed = 7) {
+    const state = Sim.createState({ seed, p1Char: char("a"), p2Char: char("b") });
+    const cpus = [AI.createCpu({ player: 0, level: level1, seed: 3 }), AI.createCpu({ player: 1, level: level2, seed: 9 })];
+    const masks = [];
+    while (state.koFrame < 0 && state.frame < Sim.FPS * 99) {
+        const pair = cpus.map(c => c.next(state));
+        masks.push(pair[1]);
+        Sim.step(state, pair);
+    }
+    return { state, masks };
+}
+
+test("the CPU is deterministic and only presses real buttons", () => {
+    const a = play("normal", "hard");
+    const b = play("normal", "hard");
+    assert.equal(Sim.hashState(a.state), Sim.hashState(b.state));
+    assert.deepEqual(a.masks, b.masks);
+
+    const all = Object.values(Sim.IN).reduce((m, bit) => m | bit, 0);
+    assert.ok(a.masks.every(m => (m & ~all) === 0));
+    assert.ok(a.masks.some(m => m & Sim.IN.B), "hard blocks");
+});
+
+test("harder levels beat easier ones", () => {
+    assert.equal(play("easy", "hard").state.winner, 1);
+    assert.equal(play("hard", "easy").state.winner, 0);
+});
+
+test("unknown levels fall back to normal", () => {
+    assert.equal(AI.createCpu({ player: 1, level: "impossible" }).level, "normal");
+});
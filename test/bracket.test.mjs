@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Bracket from "../src/bracket.mjs";
+
+const entrants = (n) => Array.from({ length: n }, (_, i) => ({ user: `p${i + 1}` }));
+
+// Record results until the bracket is decided; `pick` chooses each winner.
+function playOut(bracket, pick = (m) => Math.min(m.a, m.b)) {
+    for (;;) {
+        const next = Bracket.resolveBracket(bracket).matches.find(m => m.status === "ready");
+        if (!next) return bracket;
+        bracket = Bracket.recordResult(bracket, next.id, pick(next));
+    }
+}
+
+test("single elimination seeds 1 vs last and gives byes to the top seeds", () => {
+    const b = Bracket.createBracket({ format: "single", entrants: entrants(6) });
+    const { matches } = Bracket.resolveBracket(b);
+    assert.equal(matches.length, 7);
+
+    const first = matches.filter(m => m.round === 1);
+    assert.deepEqual(first.map(m => [m.a, m.b]), [[0, Bracket.BYE], [3, 4], [1, Bracket.BYE], [2, 5]]);
+    assert.deepEqual(first.map(m => m.status), ["bye", "ready", "bye", "ready"]);
+
+    const done = playOut(b);
+    const resolved = Bracket.resolveBracket(done);
+    assert.equal(resolved.champion, 0);
+    assert.equal(Bracket.matchLabel(resolved.matches[6], done), "Final");
+    assert.deepEqual(b.results, {}); // recordResult copies
+});
+
+test("double elimination needs two losses and resets the grand final", () => {
+    const b = Bracket.createBracket({ format: "double", entrants: entrants(4) });
+    assert.deepEqual(b.matches.map(m => m.id), ["W1-1", "W1-2", "W2-1", "L1-1", "L2-1", "GF-1", "GF-2"]);
+
+    // Favourites win everywhere: seed 1 takes the first final and GF-2 is skipped.
+    const easy = Bracket.resolveBracket(playOut(b));
+    assert.equal(easy.champion, 0);
+    assert.equal(easy.matches.find(m => m.id === "GF-2").status, "skipped");
+
+    // Seed 2 drops to the losers' side, comes back and wins both finals.
+    const upset = Bracket.resolveBracket(playOut(b, (m) => {
+        if (m.id === "W2-1") return 0;
+        return m.a === 1 || m.b === 1 ? 1 : Math.min(m.a, m.b);
+    }));
+    const gf2 = upset.matches.find(m => m.id === "GF-2");
+    assert.equal(gf2.status, "done");
+    assert.deepEqual([gf2.a, gf2.b], [1, 0]);
+    assert.equal(upset.champion, 1);
+});
+
+test("every entrant is out after two losses, whatever the bracket size", () => {
+    for (let n = 2; n <= 11; n++) {
+        const b = playOut(Bracket.createBracket({ format: "double", entrants: entrants(n) }), (m) => Math.max(m.a, m.b));
+        const { matches, champion } = Bracket.resolveBracket(b);
+        assert.notEqual(champion, null, `${n} entrants`);
+
+        const losses = new Array(n).fill(0);
+        for (const m of matches) if (m.status === "done") losses[m.loser]++;
+        for (let i = 0; i < n; i++) assert.equal(losses[i], i === champion ? (losses[i] ? 1 : 0) : 2, `${n} entrants, p${i + 1}`);
+    }
+});
+
+test("results are only taken for ready matches and their players", () => {
+    const b = Bracket.createBracket({ format: "single", entrants: entrants(4) });
+    assert.throws(() => Bracket.recordResult(b, "W2-1", 0), /can't take a result/);
+    assert.throws(() => Bracket.recordResult(b, "W1-1", 1), /isn't playing/);
+    assert.throws(() => Bracket.recordResult(b, "nope", 0), /No match/);
+    assert.throws(() => Bracket.createBracket({ entrants: entrants(1) }), /at least 2/);
+    assert.throws(() => Bracket.createBracket({ format: "swiss", entrants: entrants(4) }), /Unknown bracket format/);
+});
+
+test("the export names players and leaves out byes", () => {
+    const b = playOut(Bracket.createBracket({ format: "single", entrants: entrants(3) }));
+    const out = Bracket.exportBracket(b);
+    assert.equal(out.champion, "p1");
+    assert.deepEqual(out.entrants[2], { seed: 3, user: "p3" });
+    assert.deepEqual(out.matches, [
+        { id: "W1-2", label: "Semifinal", a: "p2", b: "p3", winner: "p2" },
+        { id: "W2-1", label: "Final", a: "p1", b: "p2", winner: "p1" }
+    ]);
+    assert.deepEqual(JSON.parse(JSON.stringify(out)), out);
+});
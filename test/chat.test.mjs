@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Chat from "../src/chat.mjs";
+
+test("chat text is cleaned and capped", () => {
+    assert.equal(Chat.sanitizeChatText("  hi\n\tthere  "), "hi there");
+    assert.equal(Chat.sanitizeChatText("a\u202eb\u200bc\u0007d"), "a b c d");
+    assert.equal(Chat.sanitizeChatText("<b>bold</b>"), "<b>bold</b>"); // shown as text, never parsed
+    assert.equal(Chat.sanitizeChatText(null), "");
+    assert.equal(Chat.sanitizeChatText("   "), "");
+
+    const long = "😀".repeat(Chat.MAX_CHAT_LENGTH + 5);
+    const cut = Chat.sanitizeChatText(long);
+    assert.equal([...cut].length, Chat.MAX_CHAT_LENGTH);
+    assert.equal(cut, "😀".repeat(Chat.MAX_CHAT_LENGTH));
+});
+
+test("emotes resolve by id only", () => {
+    assert.equal(Chat.emoteText("gg"), "GG");
+    assert.equal(Chat.emoteText("nope"), null);
+    assert.equal(new Set(Chat.EMOTES.map(e => e.id)).size, Chat.EMOTES.length);
+});
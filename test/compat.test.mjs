@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Compat from "../src/compat.mjs";
+
+const SPEC = { budget: 35, statMin: 1, statMax: 10, stats: ["health", "attack"] };
+
+test("the rules fingerprint is stable and covers the spec limits", () => {
+    const a = Compat.rulesFingerprint(SPEC);
+    assert.match(a, /^[0-9a-f]+$/);
+    assert.equal(Compat.rulesFingerprint(SPEC), a);
+    assert.notEqual(Compat.rulesFingerprint({ ...SPEC, budget: 36 }), a);
+});
+
+test("matching builds have no problems; app version alone is fine", () => {
+    const local = Compat.compatInfo({ appVersion: "1.0.4", specVersion: 1, specRules: SPEC });
+    assert.equal(local.proto, Compat.PROTOCOL_VERSION);
+    assert.deepEqual(Compat.compatProblems(local, { ...local }), []);
+    assert.deepEqual(Compat.compatProblems(local, { ...local, app: "1.0.5" }), []);
+});
+
+test("mismatches are explained", () => {
+    const local = Compat.compatInfo({ appVersion: "1.0.4", specVersion: 1, specRules: SPEC });
+    const problems = Compat.compatProblems(local, { ...local, app: "1.0.3", proto: 1, rules: "dead" });
+    assert.equal(problems.length, 3);
+    assert.match(problems[0], new RegExp(`protocol differs \\(theirs v1, yours v${Compat.PROTOCOL_VERSION}\\)`));
+    assert.match(problems[1], /rules differ/);
+    assert.match(problems[2], /1\.0\.3.*1\.0\.4/);
+
+    assert.match(Compat.compatProblems(local, undefined)[0], /older build/);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Ice from "../src/ice.mjs";
+
+test("STUN and TURN lines parse into RTCIceServer entries", () => {
+    const r = Ice.parseIceServers([
+        "# public",
+        "stun:stun.l.google.com:19302",
+        "",
+        "turn:turn.example.com:3478?transport=udp  alice  s3cret",
+        "turns:[2001:db8::1]:5349 bob pw"
+    ].join("\n"));
+    assert.deepEqual(r, {
+        ok: true,
+        servers: [
+            { urls: "stun:stun.l.google.com:19302" },
+            { urls: "turn:turn.example.com:3478?transport=udp", username: "alice", credential: "s3cret" },
+            { urls: "turns:[2001:db8::1]:5349", username: "bob", credential: "pw" }
+        ]
+    });
+    assert.deepEqual(Ice.parseIceServers(Ice.formatIceServers(r.servers)), r);
+});
+
+test("bad lines are reported by line number", () => {
+    const r = Ice.parseIceServers([
+        "http://example.com",
+        "turn:turn.example.com",
+        "stun:stun.example.com user pass",
+        "stun:stun.example.com:99999"
+    ].join("\n"));
+    assert.equal(r.ok, false);
+    assert.equal(r.errors.length, 4);
+    assert.match(r.errors[0], /^Line 1: .*not a stun/);
+    assert.match(r.errors[1], /^Line 2: TURN servers need/);
+    assert.match(r.errors[2], /^Line 3: STUN servers don't take credentials/);
+    assert.match(r.errors[3], /^Line 4: port 99999/);
+});
+
+test("host-only mode drops every server", () => {
+    assert.deepEqual(Ice.buildIceConfig({ servers: Ice.DEFAULT_ICE_SERVERS, hostOnly: true }), { iceServers: [] });
+    assert.deepEqual(Ice.buildIceConfig({ servers: Ice.DEFAULT_ICE_SERVERS, hostOnly: false }), { iceServers: Ice.DEFAULT_ICE_SERVERS });
+});
@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Latency from "../src/latency.mjs";
+
+test("RTT is the median of a sliding window", () => {
+    const t = Latency.createRttTracker(5);
+    assert.equal(t.stats(), null);
+
+    for (const ms of [40, 42, 38, 300, 41]) t.add(ms); // one spike
+    assert.deepEqual(t.stats(), { rtt: 41, jitter: (1 + 1 + 3 + 259 + 0) / 5, samples: 5 });
+
+    for (const ms of [50, 50, 50, 50, 50]) t.add(ms);
+    assert.equal(t.stats().rtt, 50);
+    assert.equal(t.stats().samples, 5);
+
+    t.add(-1);
+    t.add(NaN);
+    assert.equal(t.stats().samples, 5);
+});
+
+test("recommended delay covers one-way latency and jitter", () => {
+    assert.equal(Latency.recommendDelayFrames(null), null);
+    assert.equal(Latency.recommendDelayFrames({ rtt: 0, jitter: 0 }), 0);
+    // 30ms one way + 2*5ms jitter = 40ms -> 3 frames at 60fps
+    assert.equal(Latency.recommendDelayFrames({ rtt: 60, jitter: 5 }), 3);
+    assert.equal(Latency.recommendDelayFrames({ rtt: 60, jitter: 5 }, { netcode: "rollback" }), 2);
+    assert.equal(Latency.recommendDelayFrames({ rtt: 900, jitter: 100 }), Latency.MAX_DELAY_FRAMES);
+});
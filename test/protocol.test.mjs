@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Protocol from "../src/protocol.mjs";
+
+test("input packets round-trip", () => {
+    const buf = Protocol.encodeInputPacket({ match: -123456, ack: -1, from: 40, masks: [0, 3, 127, 18] });
+    assert.equal(buf.byteLength, 14 + 4);
+
+    const pkt = Protocol.decodePacket(buf);
+    assert.deepEqual(pkt, { type: Protocol.PKT_INPUTS, match: -123456 >>> 0, ack: -1, from: 40, masks: [0, 3, 127, 18] });
+
+    assert.equal(Protocol.decodePacket(Protocol.encodeInputPacket({ match: 7, ack: 900, from: 0, masks: [] })).ack, 900);
+});
+
+test("windows are capped at INPUT_WINDOW frames", () => {
+    const masks = Array.from({ length: Protocol.INPUT_WINDOW + 10 }, (_, i) => i % 100);
+    const pkt = Protocol.decodePacket(Protocol.encodeInputPacket({ match: 1, ack: 0, from: 5, masks }));
+    assert.equal(pkt.masks.length, Protocol.INPUT_WINDOW);
+    assert.deepEqual(pkt.masks, masks.slice(0, Protocol.INPUT_WINDOW));
+});
+
+test("malformed packets decode to null", () => {
+    const good = Protocol.encodeInputPacket({ match: 1, ack: 0, from: 0, masks: [1, 2] });
+    assert.equal(Protocol.decodePacket(good.slice(0, good.byteLength - 1)), null);
+    assert.equal(Protocol.decodePacket(new ArrayBuffer(3)), null);
+    assert.equal(Protocol.decodePacket("not a buffer"), null);
+
+    const wrongType = good.slice(0);
+    new DataView(wrongType).setUint8(0, 99);
+    assert.equal(Protocol.decodePacket(wrongType), null);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import * as Sim from "../src/sim.mjs";
+import * as ReplayCodec from "../src/replay.mjs";
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden");
+
+test("input runs round-trip", () => {
+    const masks = [0, 0, 0, 2, 2, 18, 0, 127, 127, 127];
+    const text = ReplayCodec.encodeInputs(masks);
+    assert.equal(text, "0*3,2*2,i,0,3j*3");
+    assert.deepEqual(ReplayCodec.decodeInputs(text, masks.length), masks);
+    assert.deepEqual(ReplayCodec.decodeInputs("", 0), []);
+});
+
+test("malformed input runs are rejected", () => {
+    assert.throws(() => ReplayCodec.decodeInputs("0*0", 1));
+    assert.throws(() => ReplayCodec.decodeInputs("zz", 1));
+    assert.throws(() => ReplayCodec.decodeInputs("1*", 1));
+});
+
+test("input runs must add up to the frame count", () => {
+    // A single run of ~78 billion frames fails before anything is expanded.
+    assert.throws(() => ReplayCodec.decodeInputs("0*zzzzzzz", 100), /longer than its frame count/);
+    assert.throws(() => ReplayCodec.decodeInputs("0*a,1*2", 11), /longer than its frame count/);
+    assert.throws(() => ReplayCodec.decodeInputs("0*a", 11), /shorter than its frame count/);
+    assert.throws(() => ReplayCodec.decodeInputs("", 1), /shorter than its frame count/);
+});
+
+test("a saved replay re-simulates to the same final state", () => {
+    const golden = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, "brawl-ko.json"), "utf8"));
+    const p1Masks = [];
+    const p2Masks = [];
+    for (const [count, a, b] of golden.script) {
+        for (let i = 0; i < count; i++) {
+            p1Masks.push([...a].reduce((m, c) => m | Sim.IN[c], 0));
+            p2Masks.push([...b].reduce((m, c) => m | Sim.IN[c], 0));
+        }
+    }
+
+    const built = ReplayCodec.buildReplay({
+        app: "test",
+        seed: golden.seed,
+        netcode: "lockstep",
+        players: [{ user: "A", char: golden.p1 }, { user: "B", char: golden.p2 }],
+        p1Masks,
+        p2Masks,
+        winner: golden.expect.winner
+    });
+    const r = ReplayCodec.parseReplay(JSON.parse(JSON.stringify(built)));
+
+    const state = Sim.createState({ seed: r.seed, p1Char: r.players[0].char, p2Char: r.players[1].char });
+    for (let f = 0; f < r.frames; f++) Sim.step(state, [r.p1Masks[f], r.p2Masks[f]]);
+
+    assert.equal(Sim.hashState(state), golden.expect.hash);
+    assert.equal(r.winner, golden.expect.winner);
+    assert.deepEqual(r.rules, Sim.normalizeRules());
+    assert.match(ReplayCodec.replayFileName(r), /^\d{8}-\d{6}-a-vs-b\.cgfr$/);
+});
+
+test("forfeits survive parsing; mismatched tracks are rejected", () => {
+    const built = ReplayCodec.buildReplay({
+        app: "test",
+        seed: 1,
+        netcode: "lockstep",
+        players: [{ user: "A", char: {} }, { user: "B", char: {} }],
+        p1Masks: [0, 0],
+        p2Masks: [0, 0],
+        winner: null
+    });
+    assert.equal(ReplayCodec.parseReplay(built).forfeit, null);
+    assert.equal(ReplayCodec.parseReplay({ ...built, forfeit: 1 }).forfeit, 1);
+    assert.equal(ReplayCodec.parseReplay({ ...built, forfeit: "1" }).forfeit, null);
+
+    const undated = ReplayCodec.parseReplay({ ...built, createdAt: undefined });
+    assert.ok(!isNaN(new Date(undated.createdAt)));
+    assert.match(ReplayCodec.replayFileName(undated), /^\d{8}-\d{6}-a-vs-b\.cgfr$/);
+
+    assert.throws(() => ReplayCodec.parseReplay({ ...built, frames: ReplayCodec.MAX_REPLAY_FRAMES + 1 }), /out of range/);
+    built.frames = 3;
+    assert.throws(() => ReplayCodec.parseReplay(built), /frame count/);
+    assert.throws(() => ReplayCodec.parseReplay({ kind: "other" }), /Not a chatgpt-fighter replay/);
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Seed from "../src/seed.mjs";
+
+test("a revealed nonce verifies against its commitment", async () => {
+    const nonce = Seed.randomNonce();
+    assert.ok(Seed.isNonce(nonce));
+
+    const commitment = await Seed.commitNonce(nonce);
+    assert.match(commitment, /^[0-9a-f]{64}$/);
+    assert.equal(await Seed.verifyReveal(nonce, commitment), true);
+    assert.equal(await Seed.verifyReveal(Seed.randomNonce(), commitment), false);
+    assert.equal(await Seed.verifyReveal("not a nonce", commitment), false);
+});
+
+test("the seed depends on both nonces", async () => {
+    const h = "00112233445566778899aabbccddeeff";
+    const j = "ffeeddccbbaa99887766554433221100";
+    const seed = await Seed.deriveSeed(h, j);
+
+    assert.equal(seed, await Seed.deriveSeed(h, j));
+    assert.equal(seed, seed | 0);
+    assert.notEqual(seed, await Seed.deriveSeed(h, Seed.randomNonce()));
+    assert.notEqual(seed, await Seed.deriveSeed(j, h));
+    assert.match(Seed.formatSeed(seed), /^[0-9a-f]{8}$/);
+});
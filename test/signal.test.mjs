@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import * as Signal from "../src/signal.mjs";
+
+// Trimmed from a real Chromium data-channel offer.
+const OFFER_SDP = [
+    "v=0",
+    "o=- 4611731400430051336 2 IN IP4 127.0.0.1",
+    "s=-",
+    "t=0 0",
+    "a=group:BUNDLE 0",
+    "a=extmap-allow-mixed",
+    "a=msid-semantic: WMS",
+    "m=application 54321 UDP/DTLS/SCTP webrtc-datachannel",
+    "c=IN IP4 203.0.113.7",
+    "a=candidate:1467250027 1 udp 2122260223 192.168.1.20 54321 typ host generation 0 network-id 1",
+    "a=candidate:842163049 1 udp 1686052607 203.0.113.7 54321 typ srflx raddr 192.168.1.20 rport 54321 generation 0 network-id 1",
+    "a=ice-ufrag:Xk3p",
+    "a=ice-pwd:8aVb0QvZr2yG1oQx4s9wHn7L",
+    "a=ice-options:trickle",
+    "a=fingerprint:sha-256 7B:8B:F0:65:5F:78:E2:51:3B:AC:6F:F3:3F:46:1B:35:DC:B8:5F:64:1A:24:C2:43:F0:A1:58:D0:A1:2C:19:08",
+    "a=setup:actpass",
+    "a=mid:0",
+    "a=sctp-port:5000",
+    "a=max-message-size:262144",
+    ""
+].join("\r\n");
+
+test("short codes keep what a data channel needs", async () => {
+    const code = await Signal.encodeDescription({ type: "offer", sdp: OFFER_SDP });
+    assert.match(code, /^CGF2\.o\.[\w-]+\.[0-9a-z]+$/);
+    assert.ok(code.length < OFFER_SDP.length, `code is ${code.length} chars`);
+
+    const sdp = await Signal.decodeDescription(code, "offer", "Offer");
+    assert.deepEqual(Signal.compactSdp(sdp), Signal.compactSdp(OFFER_SDP));
+    assert.match(sdp, /a=fingerprint:sha-256 7B:8B:F0:65/);
+    assert.match(sdp, /typ srflx raddr 192\.168\.1\.20/);
+});
+
+test("whitespace from chat apps is ignored", async () => {
+    const code = await Signal.encodeDescription({ type: "answer", sdp: OFFER_SDP.replace("actpass", "active") });
+    const wrapped = code.match(/.{1,20}/g).join("\n ");
+    const sdp = await Signal.decodeDescription(wrapped, "answer", "Answer");
+    assert.match(sdp, /a=setup:active/);
+});
+
+test("damaged or mismatched codes are rejected", async () => {
+    const code = await Signal.encodeDescription({ type: "offer", sdp: OFFER_SDP });
+    await assert.rejects(Signal.decodeDescription(code.slice(0, -8) + code.slice(-3), "offer", "Offer"), /checksum|incomplete/);
+    await assert.rejects(Signal.decodeDescription(code, "answer", "Answer"), /not an Answer code/);
+    await assert.rejects(Signal.decodeDescription("", "offer", "Offer"), /empty/);
+});
+
+test("old v:1 JSON codes still decode", async () => {
+    const legacy = JSON.stringify({ v: 1, type: "offer", sdp: OFFER_SDP });
+    assert.equal(await Signal.decodeDescription(legacy, "offer", "Offer"), OFFER_SDP);
+    await assert.rejects(Signal.decodeDescription(legacy, "answer", "Answer"), /invalid shape/);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createSignalingServer, ROOM_CODE_LENGTH } from "../server/signaling.mjs";
+
+async function withServer(opts, fn) {
+    const server = createSignalingServer(opts);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        await fn(base);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+const post = (url, body) => fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+});
+
+test("host and joiner trade codes through a room", async () => {
+    await withServer({}, async (base) => {
+        const { code } = await (await post(`${base}/rooms`, { offer: "OFFER" })).json();
+        assert.match(code, new RegExp(`^[A-Z2-9]{${ROOM_CODE_LENGTH}}$`));
+
+        // Host starts waiting before the joiner answers.
+        const waiting = fetch(`${base}/rooms/${code}/answer`);
+
+        const room = await (await fetch(`${base}/rooms/${code.toLowerCase()}`)).json();
+        assert.equal(room.offer, "OFFER");
+        assert.equal((await post(`${base}/rooms/${code}/answer`, { answer: "ANSWER" })).status, 204);
+
+        const res = await waiting;
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).answer, "ANSWER");
+
+        // A finished room is gone.
+        assert.equal((await fetch(`${base}/rooms/${code}`)).status, 404);
+    });
+});
+
+test("answer polls time out empty and rooms can only be taken once", async () => {
+    await withServer({ pollMs: 50 }, async (base) => {
+        const { code } = await (await post(`${base}/rooms`, { offer: "OFFER" })).json();
+        assert.equal((await fetch(`${base}/rooms/${code}/answer`)).status, 204);
+
+        await post(`${base}/rooms/${code}/answer`, { answer: "A" });
+        assert.equal((await post(`${base}/rooms/${code}/answer`, { answer: "B" })).status, 409);
+        assert.equal((await fetch(`${base}/rooms/${code}`)).status, 409);
+        assert.equal((await post(`${base}/rooms`, {})).status, 400);
+    });
+});
+
+test("rooms expire", async () => {
+    await withServer({ roomTtlMs: 20 }, async (base) => {
+        const { code } = await (await post(`${base}/rooms`, { offer: "OFFER" })).json();
+        await new Promise(resolve => setTimeout(resolve, 40));
+        const res = await fetch(`${base}/rooms/${code}`);
+        assert.equal(res.status, 404);
+        assert.match((await res.json()).error, /expired/);
+    });
+});
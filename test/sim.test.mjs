@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import * as Sim from "../src/sim.mjs";
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden");
+
+// Golden scripts spell masks as button letters ("RP" = right + punch).
+function mask(buttons) {
+    let m = 0;
+    for (const c of buttons) m |= Sim.IN[c];
+    return m;
+}
+
+function expandScript(script) {
+    const frames = [];
+    for (const [count, p1, p2] of script) {
+        for (let i = 0; i < count; i++) frames.push([mask(p1), mask(p2)]);
+    }
+    return frames;
+}
+
+function loadGoldens() {
+    return fs.readdirSync(GOLDEN_DIR)
+        .filter(f => f.endsWith(".json"))
+        .map(f => JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, f), "utf8")));
+}
+
+function run(golden) {
+    const state = Sim.createState({ seed: golden.seed, p1Char: golden.p1, p2Char: golden.p2 });
+    for (const masks of expandScript(golden.script)) Sim.step(state, masks);
+    return state;
+}
+
+for (const golden of loadGoldens()) {
+    test(`golden: ${golden.name}`, () => {
+        const state = run(golden);
+        const { expect } = golden;
+
+        assert.equal(state.frame, expect.frame);
+        assert.equal(state.koFrame, expect.koFrame);
+        assert.equal(state.winner, expect.winner);
+        assert.deepEqual(
+            state.fighters.map(f => ({ hp: f.hp, meter: f.meter, x: f.x, y: f.y, state: f.state })),
+            expect.fighters
+        );
+        assert.equal(Sim.hashState(state), expect.hash);
+    });
+}
+
+test("same seed and inputs give the same hash", () => {
+    const [golden] = loadGoldens().filter(g => g.name === "brawl-ko");
+    assert.equal(Sim.hashState(run(golden)), Sim.hashState(run(golden)));
+});
+
+test("restoring a cloned state and resimulating matches a straight run", () => {
+    const [golden] = loadGoldens().filter(g => g.name === "jump-kick-trade");
+    const frames = expandScript(golden.script);
+
+    const straight = run(golden);
+
+    const state = Sim.createState({ seed: golden.seed, p1Char: golden.p1, p2Char: golden.p2 });
+    let saved = null;
+    frames.forEach((masks, f) => {
+        if (f === 60) saved = Sim.cloneState(state);
+        Sim.step(state, masks);
+    });
+
+    const resumed = Sim.cloneState(saved);
+    for (let f = resumed.frame; f < frames.length; f++) Sim.step(resumed, frames[f]);
+
+    assert.equal(Sim.hashState(resumed), Sim.hashState(straight));
+    assert.equal(Sim.hashState(state), Sim.hashState(straight));
+});
+
+test("step reports sounds and the KO through events", () => {
+    const [golden] = loadGoldens().filter(g => g.name === "brawl-ko");
+    const state = Sim.createState({ seed: golden.seed, p1Char: golden.p1, p2Char: golden.p2 });
+
+    const seen = new Set();
+    for (const masks of expandScript(golden.script)) {
+        Sim.step(state, masks);
+        for (const ev of state.events) seen.add(ev.type === "sfx" ? ev.name : ev.type);
+    }
+
+    for (const name of ["punch", "kick", "hit", "ko"]) assert.ok(seen.has(name), `missing ${name} event`);
+});
+
+test("rounds reset the fighters and the match goes to the first to N", () => {
+    const [golden] = loadGoldens().filter(g => g.name === "brawl-ko");
+    const frames = expandScript(golden.script);
+    const state = Sim.createState({ seed: golden.seed, p1Char: golden.p1, p2Char: golden.p2, rules: { roundsToWin: 2 } });
+
+    let f = 0;
+    while (!state.roundEnd) Sim.step(state, frames[f++]);
+    assert.equal(state.koFrame, -1);
+    assert.deepEqual(state.roundEnd, { frame: golden.expect.koFrame, winner: golden.expect.winner, reason: "ko" });
+    assert.equal(state.roundsWon[golden.expect.winner], 1);
+
+    while (state.round === 1) Sim.step(state, [0, 0]);
+    assert.equal(state.roundStartFrame, golden.expect.koFrame + Sim.ROUND_BREAK_FRAMES + 1);
+    assert.deepEqual(state.fighters.map(f => f.hp), state.fighters.map(f => f.d.maxHP));
+    assert.deepEqual(state.fighters.map(f => f.x), [240 * Sim.FP, 880 * Sim.FP]);
+
+    for (const masks of frames) Sim.step(state, masks);
+    assert.equal(state.winner, golden.expect.winner);
+    assert.ok(state.koFrame > 0);
+    assert.equal(state.roundsWon[golden.expect.winner], 2);
+});
+
+test("the round clock decides by HP percentage after the intro", () => {
+    const [golden] = loadGoldens().filter(g => g.name === "brawl-ko");
+    const rules = { roundSeconds: 2, introFrames: 30 };
+    const state = Sim.createState({ seed: golden.seed, p1Char: golden.p1, p2Char: golden.p2, rules });
+    assert.equal(Sim.roundTimeLeft(state), 2 * Sim.FPS);
+
+    // Inputs during the intro are ignored.
+    for (let f = 0; f < 30; f++) Sim.step(state, [Sim.IN.R, 0]);
+    assert.equal(state.fighters[0].x, 240 * Sim.FP);
+    assert.equal(Sim.roundTimeLeft(state), 2 * Sim.FPS);
+
+    const frames = expandScript(golden.script);
+    let f = 0;
+    while (state.koFrame < 0) Sim.step(state, frames[f++] || [0, 0]);
+    assert.equal(state.koFrame, 30 + 2 * Sim.FPS);
+    assert.equal(Sim.roundTimeLeft(state), 0);
+
+    const [a, b] = state.fighters;
+    const expected = a.hp * b.d.maxHP === b.hp * a.d.maxHP ? null : (a.hp * b.d.maxHP > b.hp * a.d.maxHP ? 0 : 1);
+    assert.equal(state.winner, expected);
+    assert.ok(state.events.some(ev => ev.type === "round" && ev.reason === "time"));
+});
+
+test("rules are clamped to sane integers", () => {
+    assert.deepEqual(Sim.normalizeRules(), { roundsToWin: 1, roundFrames: 0, introFrames: 0 });
+    assert.deepEqual(Sim.normalizeRules({ roundsToWin: 99, roundSeconds: 99.5, introFrames: -3 }), {
+        roundsToWin: Sim.MAX_ROUNDS_TO_WIN,
+        roundFrames: 99 * Sim.FPS + 30,
+        introFrames: 0
+    });
+});